@@ -10,6 +10,49 @@ let keepAliveInterval;
 // Track active tabs with injected scripts
 const injectedTabs = new Set();
 
+// Content scripts in load order (must match manifest.json)
+const CONTENT_SCRIPTS = [
+  'content/human-simulator.js',
+  'content/locator-engine.js',
+  'content/page-detector.js',
+  'content/scenario-validator.js',
+  'content/page-monitor.js',
+  'content/safety-guard.js',
+  'content/direct-driver.js',
+  'content/scenario-runner.js',
+  'content/interaction-recorder.js',
+  'content/element-picker.js',
+  'content/plugins/cart-conditions.js',
+  'content/content.js'
+];
+
+// Installed in the page's own world on request; see handleInstallPageHooks
+const PAGE_HOOKS_SCRIPT = 'content/page-hooks.js';
+
+// Gaps between recorded actions longer than this become wait steps
+const RECORDING_MIN_WAIT = 1500;
+const RECORDING_MAX_WAIT = 5000;
+
+// Screenshots are JPEG data URLs kept in session storage next to the run.
+// The store holds 10 MB (Chrome 112+) for all tabs' runs, so each run's
+// images are capped well below that.
+const SCREENSHOT_QUALITY = 70;
+const MAX_SCREENSHOTS_PER_RUN = 20;
+const MAX_SCREENSHOT_BYTES_PER_RUN = 4 * 1024 * 1024;
+// captureVisibleTab allows about two calls per second
+const SCREENSHOT_MIN_INTERVAL = 600;
+
+// Run states in which a scenario still owns its tab
+const ACTIVE_RUN_STATES = ['starting', 'running', 'paused'];
+
+// Serializes scenario run read-modify-write cycles in session storage
+let scenarioRunQueue = Promise.resolve();
+// Same for recordings: recorded steps and navigations arrive concurrently
+let recordingQueue = Promise.resolve();
+// And for detector overrides, written by both the element picker and options
+let detectorOverrideQueue = Promise.resolve();
+let lastScreenshotAt = 0;
+
 // Installation handler
 chrome.runtime.onInstalled.addListener(async (details) => {
   console.log('[Speedway] Extension installed/updated:', details.reason);
@@ -22,6 +65,8 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       humanness: 0.8,
       debug: false,
       autoStart: false,
+      pageLoadsPerMinute: DEFAULT_PAGE_LOADS_PER_MINUTE,
+      executionMode: 'human',
       version: '1.0.0',
       installDate: Date.now()
     };
@@ -44,6 +89,9 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       });
     }
     
+    // Re-register allowlisted origins after an update
+    await syncContentScriptRegistration();
+    
     // Setup keep alive
     setupKeepAlive();
     
@@ -91,7 +139,113 @@ async function handleMessage(request, sender, sendResponse) {
         break;
         
       case 'getStatus':
-        await handleGetStatus(sender, sendResponse);
+        await handleGetStatus(request, sender, sendResponse);
+        break;
+        
+      case 'pauseScenario':
+      case 'resumeScenario':
+      case 'stopScenario':
+        await handleScenarioControl(request, sender, sendResponse);
+        break;
+        
+      case 'updateScenarioRun':
+        await handleUpdateScenarioRun(request, sender, sendResponse);
+        break;
+        
+      case 'saveRunDetail':
+        await handleSaveRunDetail(request, sender, sendResponse);
+        break;
+        
+      case 'claimScenarioRun':
+        await handleClaimScenarioRun(request, sender, sendResponse);
+        break;
+        
+      case 'captureScreenshot':
+        await handleCaptureScreenshot(request, sender, sendResponse);
+        break;
+        
+      case 'installPageHooks':
+        await handleInstallPageHooks(sender, sendResponse);
+        break;
+        
+      case 'getRunReport':
+        await handleGetRunReport(request.tabId || sender.tab?.id, sendResponse);
+        break;
+        
+      case 'getUserScenarios':
+        await handleGetUserScenarios(sendResponse);
+        break;
+        
+      case 'saveUserScenario':
+        await handleSaveUserScenario(request.scenario, sendResponse);
+        break;
+        
+      case 'deleteUserScenario':
+        await handleDeleteUserScenario(request.scenario, sendResponse);
+        break;
+        
+      case 'getDetectorOverrides':
+        await handleGetDetectorOverrides(sendResponse);
+        break;
+        
+      case 'saveElementOverride':
+        await handleSaveElementOverride(request, sendResponse);
+        break;
+        
+      case 'saveDetectorOverrides':
+        await handleSaveDetectorOverrides(request.overrides, sendResponse);
+        break;
+        
+      case 'getAllowedOrigins':
+        await handleGetAllowedOrigins(sendResponse);
+        break;
+        
+      case 'saveAllowedOrigins':
+        await handleSaveAllowedOrigins(request.origins, sendResponse);
+        break;
+        
+      case 'checkOrigin':
+        await handleCheckOrigin(request.tabId, sendResponse);
+        break;
+        
+      case 'getSafetyPolicy':
+        await handleGetSafetyPolicy(sendResponse);
+        break;
+        
+      case 'getTabSafetyPolicy':
+        await handleGetTabSafetyPolicy(sender, sendResponse);
+        break;
+        
+      case 'saveSafetyPolicy':
+        await handleSaveSafetyPolicy(request.policy, sendResponse);
+        break;
+        
+      case 'acquirePageLoadSlot':
+        await handleAcquirePageLoadSlot(request, sender, sendResponse);
+        break;
+        
+      case 'checkPageLoadBudget':
+        await handleCheckPageLoadBudget(request, sendResponse);
+        break;
+        
+      case 'getThrottleStatus':
+        await handleGetThrottleStatus(request, sendResponse);
+        break;
+        
+      case 'startRecording':
+        await handleStartRecording(request.tabId, sendResponse);
+        break;
+        
+      case 'stopRecording':
+        await handleStopRecording(request.tabId, sendResponse);
+        break;
+        
+      case 'recordStep':
+        await handleRecordStep(request.step, sender, sendResponse);
+        break;
+        
+      case 'getRecordingState':
+        await handleGetRecordingState(request.tabId || sender.tab?.id, sendResponse);
         break;
         
       case 'keepAlive':
@@ -132,7 +286,7 @@ async function handleSaveSettings(settings, sendResponse) {
     }
     
     // Validate settings structure
-    const validKeys = ['mouseSpeed', 'typingSpeed', 'humanness', 'debug', 'autoStart'];
+    const validKeys = ['mouseSpeed', 'typingSpeed', 'humanness', 'debug', 'autoStart', 'pageLoadsPerMinute', 'executionMode'];
     const filteredSettings = {};
     
     for (const [key, value] of Object.entries(settings)) {
@@ -154,171 +308,1392 @@ async function handleSaveSettings(settings, sendResponse) {
   }
 }
 
-async function handleExecuteScenario(request, sender, sendResponse) {
-  if (!sender.tab || !sender.tab.id) {
-    sendResponse({ error: 'No valid tab found' });
-    return;
+// User scenarios are JSON definitions keyed by name; content scripts validate
+// them before they reach storage
+async function handleGetUserScenarios(sendResponse) {
+  try {
+    const result = await chrome.storage.local.get(['userScenarios']);
+    sendResponse({ scenarios: result.userScenarios || {} });
+  } catch (error) {
+    console.error('[Speedway] Error getting user scenarios:', error);
+    sendResponse({ error: error.message });
   }
-  
-  const tabId = sender.tab.id;
-  
+}
+
+async function handleSaveUserScenario(scenario, sendResponse) {
   try {
-    // Ensure content script is injected
-    await ensureContentScriptInjected(tabId);
+    if (!scenario || typeof scenario !== 'object' || !scenario.name) {
+      throw new Error('Invalid scenario definition');
+    }
     
-    // Forward to content script with timeout
-    const response = await sendMessageWithTimeout(tabId, request, 10000);
-    sendResponse(response);
+    const result = await chrome.storage.local.get(['userScenarios']);
+    const userScenarios = result.userScenarios || {};
+    userScenarios[scenario.name] = scenario;
+    
+    await chrome.storage.local.set({ userScenarios });
+    console.log('[Speedway] User scenario saved:', scenario.name);
+    sendResponse({ success: true });
     
   } catch (error) {
-    console.error('[Speedway] Error executing scenario:', error);
+    console.error('[Speedway] Error saving user scenario:', error);
     sendResponse({ error: error.message });
   }
 }
 
-async function handleGetStatus(sender, sendResponse) {
-  if (!sender.tab || !sender.tab.id) {
-    sendResponse({ error: 'No valid tab found' });
-    return;
+async function handleDeleteUserScenario(name, sendResponse) {
+  try {
+    const result = await chrome.storage.local.get(['userScenarios']);
+    const userScenarios = result.userScenarios || {};
+    delete userScenarios[name];
+    
+    await chrome.storage.local.set({ userScenarios });
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('[Speedway] Error deleting user scenario:', error);
+    sendResponse({ error: error.message });
   }
+}
+
+// Detector overrides are layered over PageDetector's built-in patterns and
+// maps in every tab (see PageDetector.applyOverrides for the shape)
+const DETECTOR_OVERRIDE_SECTIONS = ['urlPatterns', 'elementMaps', 'pageIndicators', 'contentPatterns'];
+
+async function getDetectorOverrides() {
+  const result = await chrome.storage.local.get(['detectorOverrides']);
+  return result.detectorOverrides || {};
+}
+
+// mutate receives the stored overrides and returns the overrides to save;
+// tabs are updated inside the queue so they see saves in order
+function updateDetectorOverrides(mutate) {
+  const update = detectorOverrideQueue.then(async () => {
+    const overrides = mutate(await getDetectorOverrides());
+    
+    await chrome.storage.local.set({ detectorOverrides: overrides });
+    await broadcastDetectorOverrides(overrides);
+    return overrides;
+  });
   
+  detectorOverrideQueue = update.catch(() => {});
+  return update;
+}
+
+async function handleGetDetectorOverrides(sendResponse) {
   try {
-    const response = await sendMessageWithTimeout(
-      sender.tab.id, 
-      { action: 'getStatus' }, 
-      5000
-    );
-    sendResponse(response);
+    sendResponse({ overrides: await getDetectorOverrides() });
   } catch (error) {
-    console.error('[Speedway] Error getting status:', error);
+    console.error('[Speedway] Error getting detector overrides:', error);
     sendResponse({ error: error.message });
   }
 }
 
-// Enhanced message sending with timeout and retry
-async function sendMessageWithTimeout(tabId, message, timeout = 5000) {
-  return new Promise((resolve, reject) => {
-    const timeoutId = setTimeout(() => {
-      reject(new Error('Message timeout'));
-    }, timeout);
+async function handleSaveElementOverride(request, sendResponse) {
+  try {
+    const { pageType, elementName, selector } = request;
     
-    chrome.tabs.sendMessage(tabId, message, (response) => {
-      clearTimeout(timeoutId);
+    if (!pageType || !elementName || typeof selector !== 'string' || !selector.trim()) {
+      throw new Error('Element override needs a page type, element name and selector');
+    }
+    
+    const overrides = await updateDetectorOverrides(current => {
+      current.elementMaps = current.elementMaps || {};
+      current.elementMaps[pageType] = current.elementMaps[pageType] || {};
       
-      if (chrome.runtime.lastError) {
-        // Retry once after short delay
-        setTimeout(() => {
-          chrome.tabs.sendMessage(tabId, message, (retryResponse) => {
-            if (chrome.runtime.lastError) {
-              reject(new Error('Content script not responding: ' + chrome.runtime.lastError.message));
-            } else {
-              resolve(retryResponse || {});
-            }
-          });
-        }, 500);
-      } else {
-        resolve(response || {});
-      }
+      // The latest pick replaces earlier ones; built-in selectors remain fallbacks
+      current.elementMaps[pageType][elementName] = [selector.trim()];
+      return current;
     });
-  });
+    
+    console.log('[Speedway] Element override saved:', `${pageType}.${elementName}`, selector);
+    sendResponse({ success: true, overrides });
+    
+  } catch (error) {
+    console.error('[Speedway] Error saving element override:', error);
+    sendResponse({ error: error.message });
+  }
 }
 
-// Ensure content script is properly injected
-async function ensureContentScriptInjected(tabId) {
-  if (injectedTabs.has(tabId)) {
-    return; // Already injected
+// The options page validates entries; this only guards the overall shape
+async function handleSaveDetectorOverrides(overrides, sendResponse) {
+  try {
+    if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      throw new Error('Invalid detector overrides');
+    }
+    
+    const unknown = Object.keys(overrides).filter(key => !DETECTOR_OVERRIDE_SECTIONS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown override sections: ${unknown.join(', ')}`);
+    }
+    
+    await updateDetectorOverrides(() => overrides);
+    console.log('[Speedway] Detector overrides saved:', Object.keys(overrides));
+    sendResponse({ success: true, overrides });
+    
+  } catch (error) {
+    console.error('[Speedway] Error saving detector overrides:', error);
+    sendResponse({ error: error.message });
   }
+}
+
+// Hot-reloads running tabs through the content script's updateSettings
+async function broadcastDetectorOverrides(overrides) {
+  const tabs = await chrome.tabs.query({});
+  
+  await Promise.all(tabs.map(tab =>
+    chrome.tabs.sendMessage(tab.id, {
+      action: 'updateSettings',
+      settings: { detectorOverrides: overrides }
+    }).catch(() => {
+      // No content script in this tab
+    })
+  ));
+}
+
+// Target origins: the manifest's host permissions are always allowed; extra
+// origins (staging, previews) come from the options page, which requests the
+// optional host permission before saving. Entries are 'scheme://host[:port]'
+// where the scheme may be '*', the host may start with '*.' and the port may
+// be '*'; without a port any port matches, as in Chrome match patterns.
+const BUILT_IN_ORIGINS = chrome.runtime.getManifest().host_permissions
+  .map(pattern => pattern.replace(/\/\*$/, ''));
+const ALLOWED_ORIGINS_SCRIPT_ID = 'speedway-allowed-origins';
+const ORIGIN_PATTERN = /^(https?|\*):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}|\*))?$/;
+
+async function getAllowedOrigins() {
+  const result = await chrome.storage.local.get(['allowedOrigins']);
+  return result.allowedOrigins || [];
+}
+
+function parseOrigin(origin) {
+  const match = ORIGIN_PATTERN.exec(origin);
+  if (!match) return null;
+  
+  const [, scheme, subdomains, host, port] = match;
+  return { scheme, subdomains: Boolean(subdomains), host, port };
+}
+
+function toMatchPattern(origin) {
+  return `${origin}/*`;
+}
+
+function originMatchesUrl(origin, url) {
+  const pattern = parseOrigin(origin);
+  if (!pattern) return false;
   
+  let target;
   try {
-    // Test if content script is already running
-    await sendMessageWithTimeout(tabId, { action: 'ping' }, 2000);
-    injectedTabs.add(tabId);
-    console.log('[Speedway] Content script already active in tab:', tabId);
-    
+    target = new URL(url);
   } catch (error) {
-    // Content script not responding, inject it
-    try {
-      const tab = await chrome.tabs.get(tabId);
-      
-      if (tab.url.includes('speedwaymotors.com') || tab.url.includes('localhost')) {
-        await chrome.scripting.executeScript({
-          target: { tabId: tabId },
-          files: [
-            'content/human-simulator.js',
-            'content/page-detector.js',
-            'content/scenario-runner.js',
-            'content/content.js'
-          ]
-        });
-        
-        injectedTabs.add(tabId);
-        console.log('[Speedway] Content script injected into tab:', tabId);
-        
-        // Wait a bit for initialization
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    } catch (injectionError) {
-      console.error('[Speedway] Failed to inject content script:', injectionError);
-      throw new Error('Failed to inject content script: ' + injectionError.message);
-    }
+    return false;
+  }
+  
+  const scheme = target.protocol.slice(0, -1);
+  if (pattern.scheme === '*' ? !['http', 'https'].includes(scheme) : pattern.scheme !== scheme) {
+    return false;
+  }
+  
+  const host = target.hostname;
+  if (host !== pattern.host && !(pattern.subdomains && host.endsWith(`.${pattern.host}`))) {
+    return false;
   }
+  
+  const port = target.port || (scheme === 'https' ? '443' : '80');
+  return !pattern.port || pattern.port === '*' || pattern.port === port;
 }
 
-// Tab management
-chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
-  if (changeInfo.status === 'complete' && tab.url) {
-    // Remove from injected set when page changes
-    if (changeInfo.url) {
-      injectedTabs.delete(tabId);
+async function isAllowedUrl(url) {
+  if (!url) return false;
+  
+  const origins = [...BUILT_IN_ORIGINS, ...await getAllowedOrigins()];
+  return origins.some(origin => originMatchesUrl(origin, url));
+}
+
+// Manifest content scripts cover the built-in origins; allowlisted origins
+// get one dynamically registered script with the same files
+async function syncContentScriptRegistration() {
+  const origins = await getAllowedOrigins();
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [ALLOWED_ORIGINS_SCRIPT_ID] });
+  
+  if (registered.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [ALLOWED_ORIGINS_SCRIPT_ID] });
+  }
+  
+  if (origins.length === 0) return;
+  
+  await chrome.scripting.registerContentScripts([{
+    id: ALLOWED_ORIGINS_SCRIPT_ID,
+    matches: origins.map(toMatchPattern),
+    js: CONTENT_SCRIPTS,
+    runAt: 'document_idle',
+    allFrames: false,
+    persistAcrossSessions: true
+  }]);
+  
+  console.log('[Speedway] Content scripts registered for:', origins);
+}
+
+async function handleGetAllowedOrigins(sendResponse) {
+  try {
+    sendResponse({ origins: await getAllowedOrigins(), builtIn: BUILT_IN_ORIGINS });
+  } catch (error) {
+    console.error('[Speedway] Error getting allowed origins:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleSaveAllowedOrigins(origins, sendResponse) {
+  try {
+    if (!Array.isArray(origins)) {
+      throw new Error('Allowed origins must be an array');
     }
     
-    // Auto-inject for target domains
-    if (tab.url.includes('speedwaymotors.com') || tab.url.includes('localhost')) {
-      console.log('[Speedway] Tab completed loading:', tab.url);
-      
-      try {
-        // Small delay to ensure page is fully ready
-        setTimeout(async () => {
-          await ensureContentScriptInjected(tabId);
-        }, 1000);
-      } catch (error) {
-        console.log('[Speedway] Auto-injection failed:', error.message);
-      }
+    const invalid = origins.filter(origin => typeof origin !== 'string' || !parseOrigin(origin));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid origins: ${invalid.join(', ')}`);
+    }
+    
+    const allowed = [...new Set(origins)].filter(origin => !BUILT_IN_ORIGINS.includes(origin));
+    
+    if (allowed.length > 0 &&
+        !await chrome.permissions.contains({ origins: allowed.map(toMatchPattern) })) {
+      throw new Error('Host permission has not been granted for every origin');
+    }
+    
+    const removed = (await getAllowedOrigins()).filter(origin => !allowed.includes(origin));
+    
+    await chrome.storage.local.set({ allowedOrigins: allowed });
+    await syncContentScriptRegistration();
+    
+    if (removed.length > 0) {
+      await chrome.permissions.remove({ origins: removed.map(toMatchPattern) }).catch(error => {
+        console.warn('[Speedway] Failed to release host permissions:', error);
+      });
     }
+    
+    console.log('[Speedway] Allowed origins saved:', allowed);
+    sendResponse({ success: true, origins: allowed });
+    
+  } catch (error) {
+    console.error('[Speedway] Error saving allowed origins:', error);
+    sendResponse({ error: error.message });
   }
-});
-
-chrome.tabs.onRemoved.addListener((tabId) => {
-  injectedTabs.delete(tabId);
-});
+}
 
-// Navigation listener for better page change detection
-chrome.webNavigation.onCompleted.addListener(async (details) => {
-  if (details.frameId === 0) { // Main frame only
-    const { tabId, url } = details;
+// Also injects the content script, since tabs opened before their origin was
+// allowed never got the registered one
+async function handleCheckOrigin(tabId, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(tabId);
+    const allowed = await isAllowedUrl(tab.url);
     
-    if (url.includes('speedwaymotors.com') || url.includes('localhost')) {
-      console.log('[Speedway] Navigation completed:', url);
-      
-      // Notify content script about navigation if it exists
-      try {
-        await sendMessageWithTimeout(tabId, { 
-          action: 'navigationCompleted', 
-          url: url 
-        }, 2000);
-      } catch (error) {
-        // Content script might not be ready yet, that's ok
-        console.log('[Speedway] Navigation notification failed (normal):', error.message);
-      }
+    if (allowed) {
+      await ensureContentScriptInjected(tabId);
     }
+    
+    sendResponse({ allowed, url: tab.url });
+  } catch (error) {
+    console.error('[Speedway] Error checking origin:', error);
+    sendResponse({ error: error.message });
   }
-});
+}
 
-// Cleanup on startup
+// Permissions revoked from the extensions page drop their origins too
+chrome.permissions.onRemoved.addListener(async ({ origins = [] }) => {
+  try {
+    const allowed = await getAllowedOrigins();
+    const remaining = allowed.filter(origin => !origins.includes(toMatchPattern(origin)));
+    
+    if (remaining.length !== allowed.length) {
+      await chrome.storage.local.set({ allowedOrigins: remaining });
+      await syncContentScriptRegistration();
+    }
+  } catch (error) {
+    console.error('[Speedway] Failed to update allowed origins:', error);
+  }
+});
+
+// Safety policy: SafetyGuard blocks clicks that look like placing an order,
+// paying or deleting an account unless the tab's origin is on the safe to
+// transact list (same origin format as the allowlist). Tabs only receive the
+// verdict for their own origin and the extra selectors to block.
+const DEFAULT_SAFE_ORIGINS = ['http://localhost:*', 'https://localhost:*', 'http://127.0.0.1:*'];
+
+async function getSafetyPolicy() {
+  const result = await chrome.storage.local.get(['safetyPolicy']);
+  return { safeOrigins: DEFAULT_SAFE_ORIGINS, blockedSelectors: [], ...result.safetyPolicy };
+}
+
+async function getTabSafetyPolicy(url) {
+  const policy = await getSafetyPolicy();
+  
+  return {
+    transactAllowed: Boolean(url) && policy.safeOrigins.some(origin => originMatchesUrl(origin, url)),
+    blockedSelectors: policy.blockedSelectors
+  };
+}
+
+async function handleGetSafetyPolicy(sendResponse) {
+  try {
+    sendResponse({ policy: await getSafetyPolicy(), defaults: { safeOrigins: DEFAULT_SAFE_ORIGINS } });
+  } catch (error) {
+    console.error('[Speedway] Error getting safety policy:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleGetTabSafetyPolicy(sender, sendResponse) {
+  try {
+    sendResponse({ policy: await getTabSafetyPolicy(sender.tab?.url) });
+  } catch (error) {
+    console.error('[Speedway] Error getting tab safety policy:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleSaveSafetyPolicy(policy, sendResponse) {
+  try {
+    if (!policy || !Array.isArray(policy.safeOrigins) || !Array.isArray(policy.blockedSelectors)) {
+      throw new Error('Safety policy needs safeOrigins and blockedSelectors arrays');
+    }
+    
+    const invalid = policy.safeOrigins.filter(origin => typeof origin !== 'string' || !parseOrigin(origin));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid origins: ${invalid.join(', ')}`);
+    }
+    
+    if (policy.blockedSelectors.some(selector => typeof selector !== 'string' || !selector.trim())) {
+      throw new Error('Blocked selectors must be non-empty strings');
+    }
+    
+    const saved = {
+      safeOrigins: [...new Set(policy.safeOrigins)],
+      blockedSelectors: [...new Set(policy.blockedSelectors.map(selector => selector.trim()))]
+    };
+    
+    await chrome.storage.local.set({ safetyPolicy: saved });
+    console.log('[Speedway] Safety policy saved:', saved.safeOrigins);
+    await broadcastSafetyPolicy();
+    sendResponse({ success: true, policy: saved });
+    
+  } catch (error) {
+    console.error('[Speedway] Error saving safety policy:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Each tab gets the verdict for its own origin
+async function broadcastSafetyPolicy() {
+  const tabs = await chrome.tabs.query({});
+  
+  await Promise.all(tabs.map(async tab => {
+    const safetyPolicy = await getTabSafetyPolicy(tab.url);
+    
+    await chrome.tabs.sendMessage(tab.id, {
+      action: 'updateSettings',
+      settings: { safetyPolicy }
+    }).catch(() => {
+      // No content script in this tab
+    });
+  }));
+}
+
+// Politeness throttle: page loads caused by scenario runs are capped per
+// origin per minute (settings.pageLoadsPerMinute). Runs ask for a slot before
+// they navigate and wait in a FIFO queue once the budget is spent; loads a run
+// causes without asking (redirects, links clicked without expectsNavigation)
+// are counted when they commit. Kept in memory: queued requests are open
+// message channels, which would not survive a service worker restart anyway.
+const THROTTLE_WINDOW = 60000;
+const DEFAULT_PAGE_LOADS_PER_MINUTE = 20;
+// A granted slot accounts for the tab's next page load within this time
+const SLOT_RESERVATION_TTL = 30000;
+// New runs are refused while this many slot requests wait for one origin
+const MAX_QUEUED_PAGE_LOADS = 10;
+
+const pageLoadLog = new Map();
+const throttleQueue = [];
+const slotReservations = new Map();
+let throttleTimer = null;
+
+async function getPageLoadBudget() {
+  const result = await chrome.storage.sync.get(['settings']);
+  const budget = Number(result.settings?.pageLoadsPerMinute);
+  return Number.isInteger(budget) && budget > 0 ? budget : DEFAULT_PAGE_LOADS_PER_MINUTE;
+}
+
+function getUrlOrigin(url) {
+  try {
+    const origin = new URL(url).origin;
+    return origin === 'null' ? null : origin;
+  } catch (error) {
+    return null;
+  }
+}
+
+function getRecentPageLoads(origin, now = Date.now()) {
+  const recent = (pageLoadLog.get(origin) || []).filter(time => now - time < THROTTLE_WINDOW);
+  
+  if (recent.length > 0) {
+    pageLoadLog.set(origin, recent);
+  } else {
+    pageLoadLog.delete(origin);
+  }
+  
+  return recent;
+}
+
+function recordPageLoad(origin, now = Date.now()) {
+  pageLoadLog.set(origin, [...getRecentPageLoads(origin, now), now]);
+}
+
+// Milliseconds until the origin has a free slot again, 0 if it has one now
+function getNextSlotDelay(origin, budget, now = Date.now()) {
+  const recent = getRecentPageLoads(origin, now);
+  if (recent.length < budget) return 0;
+  
+  return recent[recent.length - budget] + THROTTLE_WINDOW - now;
+}
+
+// Grants queued slots in order; an origin out of budget does not hold up
+// requests for other origins
+async function processThrottleQueue() {
+  clearTimeout(throttleTimer);
+  throttleTimer = null;
+  
+  if (throttleQueue.length === 0) return;
+  
+  const budget = await getPageLoadBudget();
+  const now = Date.now();
+  let nextCheck = Infinity;
+  
+  for (const entry of [...throttleQueue]) {
+    const delay = getNextSlotDelay(entry.origin, budget, now);
+    if (delay > 0) {
+      nextCheck = Math.min(nextCheck, delay);
+      continue;
+    }
+    
+    throttleQueue.splice(throttleQueue.indexOf(entry), 1);
+    recordPageLoad(entry.origin, now);
+    slotReservations.set(entry.tabId, { origin: entry.origin, at: now });
+    entry.resolve({ granted: true, waited: now - entry.queuedAt });
+  }
+  
+  if (nextCheck !== Infinity) {
+    throttleTimer = setTimeout(() => {
+      processThrottleQueue().catch(error => {
+        console.error('[Speedway] Throttle queue failed:', error);
+      });
+    }, nextCheck);
+  }
+}
+
+// Stopped runs and closed tabs give up their place in the queue
+function cancelQueuedPageLoads(tabId) {
+  for (const entry of throttleQueue.filter(entry => entry.tabId === tabId)) {
+    throttleQueue.splice(throttleQueue.indexOf(entry), 1);
+    entry.resolve({ granted: false, cancelled: true });
+  }
+  
+  slotReservations.delete(tabId);
+}
+
+// Called for every main-frame commit; only loads in tabs with an active run
+// count, and a load that already has a slot is not counted twice
+async function countRunPageLoad(tabId, url) {
+  const origin = getUrlOrigin(url);
+  if (!origin) return;
+  
+  const reservation = slotReservations.get(tabId);
+  slotReservations.delete(tabId);
+  
+  if (reservation && reservation.origin === origin && Date.now() - reservation.at < SLOT_RESERVATION_TTL) {
+    return;
+  }
+  
+  if (isRunActive(await getScenarioRun(tabId))) {
+    recordPageLoad(origin);
+  }
+}
+
+// Answers once the slot is granted, which may take up to a minute
+async function handleAcquirePageLoadSlot(request, sender, sendResponse) {
+  try {
+    const tabId = sender.tab?.id;
+    const origin = getUrlOrigin(request.url);
+    
+    if (!tabId || !origin) {
+      throw new Error('Page load slots need a tab and an http(s) URL');
+    }
+    
+    const slot = await new Promise((resolve, reject) => {
+      throttleQueue.push({ tabId, origin, url: request.url, queuedAt: Date.now(), resolve });
+      processThrottleQueue().catch(reject);
+    });
+    
+    if (slot.waited > 0) {
+      console.log(`[Speedway] Page load slot for ${origin} granted after ${slot.waited}ms`);
+    }
+    sendResponse(slot);
+    
+  } catch (error) {
+    console.error('[Speedway] Error acquiring page load slot:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Used by the popup before starting a run. Runs needing more page loads than
+// the budget allows are still started and paced by acquirePageLoadSlot; only
+// an origin with no free slot or a long queue refuses new runs.
+async function handleCheckPageLoadBudget(request, sendResponse) {
+  try {
+    const tab = await chrome.tabs.get(request.tabId);
+    const origin = getUrlOrigin(tab.url);
+    const budget = await getPageLoadBudget();
+    
+    const used = origin ? getRecentPageLoads(origin).length : 0;
+    const queued = throttleQueue.filter(entry => entry.origin === origin).length;
+    const available = Math.max(budget - used - queued, 0);
+    const pageLoads = Number(request.pageLoads) || 0;
+    
+    let reason = null;
+    if (queued >= MAX_QUEUED_PAGE_LOADS) {
+      reason = `${queued} page loads are already queued for ${origin}`;
+    } else if (pageLoads > 0 && available === 0) {
+      reason = `all ${budget} page loads/min for ${origin} are in use`;
+    }
+    
+    sendResponse({
+      allowed: !reason,
+      reason,
+      pageLoads,
+      available,
+      budget,
+      origin,
+      // Minutes of budget the run needs at worst; loads beyond it wait
+      expectedMinutes: Math.ceil(pageLoads / budget)
+    });
+    
+  } catch (error) {
+    console.error('[Speedway] Error checking page load budget:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleGetThrottleStatus(request, sendResponse) {
+  try {
+    const budget = await getPageLoadBudget();
+    const now = Date.now();
+    const tab = request.tabId ? await chrome.tabs.get(request.tabId) : null;
+    const currentOrigin = tab ? getUrlOrigin(tab.url) : null;
+    
+    const origins = [...new Set([
+      ...(currentOrigin ? [currentOrigin] : []),
+      ...pageLoadLog.keys(),
+      ...throttleQueue.map(entry => entry.origin)
+    ])].map(origin => ({
+      origin,
+      current: origin === currentOrigin,
+      used: getRecentPageLoads(origin, now).length,
+      queued: throttleQueue.filter(entry => entry.origin === origin).length,
+      nextSlotIn: getNextSlotDelay(origin, budget, now)
+    }));
+    
+    const queue = throttleQueue.map(entry => ({
+      tabId: entry.tabId,
+      origin: entry.origin,
+      url: entry.url,
+      waiting: now - entry.queuedAt
+    }));
+    
+    sendResponse({ budget, window: THROTTLE_WINDOW, origins, queue });
+    
+  } catch (error) {
+    console.error('[Speedway] Error getting throttle status:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Recordings live in session storage so they survive page navigations and
+// service worker restarts; the content script only buffers the current page
+async function getRecordings() {
+  const result = await chrome.storage.session.get(['recordings']);
+  return result.recordings || {};
+}
+
+async function saveRecordings(recordings) {
+  await chrome.storage.session.set({ recordings });
+}
+
+// mutate edits the recordings map in place; its return value is passed through
+function updateRecordings(mutate) {
+  const update = recordingQueue.then(async () => {
+    const recordings = await getRecordings();
+    const result = mutate(recordings);
+    
+    await saveRecordings(recordings);
+    return result;
+  });
+  
+  recordingQueue = update.catch(() => {});
+  return update;
+}
+
+async function handleStartRecording(tabId, sendResponse) {
+  try {
+    if (!tabId) {
+      throw new Error('No valid tab found');
+    }
+    
+    const tab = await chrome.tabs.get(tabId);
+    
+    await updateRecordings(recordings => {
+      recordings[tabId] = {
+        startUrl: tab.url,
+        startedAt: Date.now(),
+        steps: []
+      };
+    });
+    
+    await ensureContentScriptInjected(tabId);
+    const response = await sendMessageWithTimeout(tabId, { action: 'startRecording' }, 5000);
+    
+    if (response.error) {
+      await updateRecordings(recordings => {
+        delete recordings[tabId];
+      });
+      throw new Error(response.error);
+    }
+    
+    console.log('[Speedway] Recording started in tab:', tabId);
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('[Speedway] Error starting recording:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleStopRecording(tabId, sendResponse) {
+  try {
+    // Let the page flush buffered typing/scrolling before reading the steps
+    try {
+      await sendMessageWithTimeout(tabId, { action: 'stopRecording' }, 5000);
+    } catch (error) {
+      console.log('[Speedway] Recorder flush failed (page may be navigating):', error.message);
+    }
+    
+    const recording = await updateRecordings(recordings => {
+      const current = recordings[tabId];
+      delete recordings[tabId];
+      return current;
+    });
+    
+    if (!recording) {
+      throw new Error('No recording in progress for this tab');
+    }
+    
+    const scenario = buildRecordedScenario(recording);
+    console.log('[Speedway] Recording stopped:', scenario.name, scenario.steps.length, 'steps');
+    sendResponse({ success: true, scenario });
+    
+  } catch (error) {
+    console.error('[Speedway] Error stopping recording:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleRecordStep(step, sender, sendResponse) {
+  try {
+    const tabId = sender.tab?.id;
+    const recorded = tabId ? await updateRecordings(recordings => {
+      if (!recordings[tabId]) return false;
+      
+      recordings[tabId].steps.push(step);
+      return true;
+    }) : false;
+    
+    if (!recorded) {
+      sendResponse({ recording: false });
+      return;
+    }
+    
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('[Speedway] Error recording step:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleGetRecordingState(tabId, sendResponse) {
+  try {
+    const recordings = await getRecordings();
+    const recording = tabId ? recordings[tabId] : null;
+    
+    sendResponse({
+      recording: !!recording,
+      stepCount: recording ? recording.steps.length : 0,
+      startedAt: recording ? recording.startedAt : null
+    });
+  } catch (error) {
+    sendResponse({ error: error.message });
+  }
+}
+
+// Marks the step that triggered a navigation, or records a navigate step when
+// the user went somewhere directly (address bar, bookmark, reload)
+async function annotateRecordingNavigation(tabId, url, transitionType) {
+  await updateRecordings(recordings => {
+    const recording = recordings[tabId];
+    if (!recording) return;
+    
+    const lastStep = recording.steps[recording.steps.length - 1];
+    const userInitiated = ['link', 'form_submit'].includes(transitionType);
+    
+    if (lastStep && userInitiated && ['click', 'type'].includes(lastStep.type)) {
+      lastStep.expectsNavigation = true;
+    } else if (!userInitiated) {
+      recording.steps.push({ type: 'navigate', name: 'Open page', url, timestamp: Date.now() });
+    }
+  });
+}
+
+function buildRecordedScenario(recording) {
+  const steps = [{ type: 'navigate', name: 'Open start page', url: recording.startUrl }];
+  let lastTimestamp = recording.startedAt;
+  
+  for (const recorded of recording.steps) {
+    const { timestamp, ...step } = recorded;
+    const gap = (timestamp || lastTimestamp) - lastTimestamp;
+    
+    if (gap >= RECORDING_MIN_WAIT) {
+      steps.push({ type: 'wait', name: 'Pause', duration: Math.min(gap, RECORDING_MAX_WAIT) });
+    }
+    
+    steps.push(step);
+    lastTimestamp = timestamp || lastTimestamp;
+  }
+  
+  const stamp = new Date(recording.startedAt).toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  
+  return {
+    version: 1,
+    name: `recorded-${stamp}`,
+    description: `Recorded ${new Date(recording.startedAt).toLocaleString()}`,
+    parameters: {},
+    steps
+  };
+}
+
+// Scenario runs are owned here rather than by the content script, whose state
+// is lost on every full page load. The content script checkpoints each step;
+// the next page claims the run and resumes after the step that navigated.
+// Each tab's run has its own session key, so a checkpoint only rewrites its
+// own (slim) record.
+function getScenarioRunKey(tabId) {
+  return `scenarioRun:${tabId}`;
+}
+
+async function getScenarioRun(tabId) {
+  const key = getScenarioRunKey(tabId);
+  const result = await chrome.storage.session.get([key]);
+  return result[key] || null;
+}
+
+// mutate receives the tab's run (or null) and returns the record to store,
+// or null to remove it
+function updateScenarioRun(tabId, mutate) {
+  const update = scenarioRunQueue.then(async () => {
+    const key = getScenarioRunKey(tabId);
+    const run = mutate(await getScenarioRun(tabId));
+    
+    if (run) {
+      await chrome.storage.session.set({ [key]: run });
+    } else {
+      await chrome.storage.session.remove(key);
+    }
+    
+    return run;
+  });
+  
+  scenarioRunQueue = update.catch(() => {});
+  return update;
+}
+
+// Requests and page errors are kept per page (content script instance) under
+// the run's detail key and only merged into the run for the report
+function getRunDetailKey(runId) {
+  return `runDetail:${runId}`;
+}
+
+function saveRunDetail(runId, instanceId, detail) {
+  const update = scenarioRunQueue.then(async () => {
+    const key = getRunDetailKey(runId);
+    const stored = (await chrome.storage.session.get([key]))[key] || { pages: {} };
+    
+    stored.pages[instanceId] = { results: detail.results || [], pageErrors: detail.pageErrors || [] };
+    await chrome.storage.session.set({ [key]: stored });
+  });
+  
+  scenarioRunQueue = update.catch(() => {});
+  return update;
+}
+
+async function mergeRunDetail(run) {
+  if (!run) return run;
+  
+  const key = getRunDetailKey(run.runId);
+  const stored = (await chrome.storage.session.get([key]))[key];
+  const pages = Object.values(stored?.pages || {});
+  if (pages.length === 0) return run;
+  
+  const results = (run.results || []).map(result => ({ ...result }));
+  
+  for (const page of pages) {
+    for (const entry of page.results) {
+      const result = results.find(candidate => candidate.path === entry.path);
+      if (!result) continue;
+      
+      result.requests = [...(result.requests || []), ...entry.requests];
+      result.pageErrors = [...(result.pageErrors || []), ...entry.pageErrors];
+      if (entry.droppedRequests > 0) {
+        result.droppedRequests = (result.droppedRequests || 0) + entry.droppedRequests;
+      }
+    }
+  }
+  
+  return { ...run, results, pageErrors: pages.flatMap(page => page.pageErrors) };
+}
+
+function isRunActive(run) {
+  return !!run && ACTIVE_RUN_STATES.includes(run.state);
+}
+
+function buildRunStatus(run) {
+  return {
+    state: run.state,
+    isRunning: isRunActive(run),
+    isPaused: run.state === 'paused',
+    currentScenario: run.scenarioName,
+    parameters: run.parameters,
+    currentStep: run.currentStep || 0,
+    totalSteps: run.totalSteps || 0,
+    duration: (run.endTime || Date.now()) - run.startTime,
+    error: run.error || null,
+    runId: run.runId,
+    seed: Number.isInteger(run.seed) ? run.seed : null
+  };
+}
+
+async function handleExecuteScenario(request, sender, sendResponse) {
+  const tabId = request.tabId || sender.tab?.id;
+  if (!tabId) {
+    sendResponse({ error: 'No valid tab found' });
+    return;
+  }
+  
+  const runId = `run-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  
+  try {
+    // Ensure content script is injected
+    await ensureContentScriptInjected(tabId);
+    
+    const tab = await chrome.tabs.get(tabId);
+    let previousRun = null;
+    
+    // Checked inside the queued update so two concurrent starts cannot both
+    // find the tab idle
+    await updateScenarioRun(tabId, (run) => {
+      if (isRunActive(run)) {
+        throw new Error(`Scenario '${run.scenarioName}' is already running in this tab`);
+      }
+      
+      previousRun = run;
+      return {
+        runId,
+        tabId,
+        state: 'starting',
+        scenarioName: request.definition?.name || request.scenario,
+        parameters: request.parameters || {},
+        startUrl: tab.url,
+        startTime: Date.now(),
+        owner: null
+      };
+    });
+    
+    // Only the tab's latest run is kept, so its screenshots and detail can go
+    await removeRunData(previousRun);
+    
+    // Forward to content script with timeout
+    const { tabId: _target, ...message } = request;
+    const response = await sendMessageWithTimeout(tabId, { ...message, runId }, 10000);
+    
+    if (response.error) {
+      await discardStartingRun(tabId, runId);
+    }
+    
+    sendResponse(response);
+    
+  } catch (error) {
+    console.error('[Speedway] Error executing scenario:', error);
+    await discardStartingRun(tabId, runId);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Drops a run record whose scenario never started in the page
+async function discardStartingRun(tabId, runId) {
+  await updateScenarioRun(tabId, (run) =>
+    run && run.runId === runId && run.state === 'starting' ? null : run
+  );
+}
+
+async function handleUpdateScenarioRun(request, sender, sendResponse) {
+  try {
+    const tabId = sender.tab?.id;
+    const { checkpoint, event, instanceId } = request;
+    
+    const run = await updateScenarioRun(tabId, (current) => {
+      // Ignore runs started outside the background and superseded runs
+      if (!current || current.runId !== checkpoint.runId) return current;
+      
+      // A stop requested while the page was unreachable wins over late checkpoints
+      if (current.state === 'stopped' && event !== 'onStop') return current;
+      
+      return {
+        ...current,
+        ...checkpoint,
+        scenarioName: checkpoint.scenario ? checkpoint.scenario.name : current.scenarioName,
+        url: sender.tab.url,
+        owner: instanceId,
+        updatedAt: Date.now()
+      };
+    });
+    
+    sendResponse({ success: true, state: run ? run.state : null });
+    
+  } catch (error) {
+    console.error('[Speedway] Error updating scenario run:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleSaveRunDetail(request, sender, sendResponse) {
+  try {
+    const { detail, instanceId } = request;
+    const run = await getScenarioRun(sender.tab?.id);
+    
+    // Same rule as checkpoints: only the tab's current run is recorded
+    if (!run || !detail || run.runId !== detail.runId) {
+      sendResponse({ success: false });
+      return;
+    }
+    
+    await saveRunDetail(run.runId, instanceId, detail);
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('[Speedway] Error saving run detail:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleClaimScenarioRun(request, sender, sendResponse) {
+  try {
+    const tabId = sender.tab?.id;
+    let claimed = null;
+    
+    await updateScenarioRun(tabId, (run) => {
+      // The page that already owns the run keeps running it itself
+      if (!isRunActive(run) || !run.scenario || run.owner === request.instanceId) return run;
+      
+      claimed = { ...run, owner: request.instanceId };
+      return claimed;
+    });
+    
+    if (claimed) {
+      console.log('[Speedway] Scenario run resumed in tab:', tabId, 'after step', claimed.path);
+    }
+    sendResponse({ run: claimed });
+    
+  } catch (error) {
+    console.error('[Speedway] Error claiming scenario run:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// The full run record (finished or in progress) plus its screenshot images;
+// the popup renders the report
+async function handleGetRunReport(tabId, sendResponse) {
+  try {
+    const run = tabId ? await mergeRunDetail(await getScenarioRun(tabId)) : null;
+    const ids = (run?.screenshots || []).map(screenshot => screenshot.id);
+    const images = ids.length > 0 ? await chrome.storage.session.get(ids) : {};
+    
+    sendResponse({ run, screenshots: images });
+  } catch (error) {
+    console.error('[Speedway] Error getting run report:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// A <script> tag added by the content script is subject to the page's CSP;
+// scripting injection into the MAIN world is not
+async function handleInstallPageHooks(sender, sendResponse) {
+  try {
+    if (!sender.tab) {
+      throw new Error('Page hooks can only be installed from a tab');
+    }
+    
+    await chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] },
+      world: 'MAIN',
+      files: [PAGE_HOOKS_SCRIPT]
+    });
+    
+    sendResponse({ success: true });
+    
+  } catch (error) {
+    console.error('[Speedway] Error installing page hooks:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+async function handleCaptureScreenshot(request, sender, sendResponse) {
+  try {
+    const tab = sender.tab;
+    const run = tab ? await getScenarioRun(tab.id) : null;
+    
+    if (!run || run.runId !== request.runId) {
+      throw new Error('Screenshots are only taken for scenario runs started from the popup');
+    }
+    if ((run.screenshots || []).length >= MAX_SCREENSHOTS_PER_RUN) {
+      throw new Error(`Screenshot limit of ${MAX_SCREENSHOTS_PER_RUN} per run reached`);
+    }
+    if (!tab.active) {
+      throw new Error('The tab must be in the foreground to capture a screenshot');
+    }
+    
+    const wait = lastScreenshotAt + SCREENSHOT_MIN_INTERVAL - Date.now();
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+    lastScreenshotAt = Date.now();
+    
+    const dataUrl = await captureRunTab(tab);
+    
+    const storedBytes = (run.screenshots || []).reduce((total, screenshot) => total + (screenshot.bytes || 0), 0);
+    if (storedBytes + dataUrl.length > MAX_SCREENSHOT_BYTES_PER_RUN) {
+      throw new Error(`Screenshot storage limit of ${MAX_SCREENSHOT_BYTES_PER_RUN / 1024 / 1024} MB per run reached`);
+    }
+    
+    const screenshot = {
+      id: `screenshot:${request.runId}:${lastScreenshotAt}`,
+      path: request.path,
+      reason: request.reason,
+      label: request.label,
+      url: tab.url,
+      capturedAt: lastScreenshotAt,
+      bytes: dataUrl.length
+    };
+    
+    try {
+      await chrome.storage.session.set({ [screenshot.id]: dataUrl });
+    } catch (error) {
+      throw new Error(`Screenshot could not be stored, session storage is full: ${error.message}`);
+    }
+    
+    await updateScenarioRun(tab.id, (current) => {
+      if (!current || current.runId !== request.runId) return current;
+      return { ...current, screenshots: [...(current.screenshots || []), screenshot] };
+    });
+    
+    console.log('[Speedway] Screenshot captured:', screenshot.reason, 'at step', screenshot.path);
+    sendResponse({ success: true, screenshot });
+    
+  } catch (error) {
+    console.error('[Speedway] Error capturing screenshot:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Without the optional <all_urls> permission, capturing relies on activeTab
+// from the popup click, which ends with the run's first page load; that case
+// gets an error the report can explain
+async function captureRunTab(tab) {
+  try {
+    return await chrome.tabs.captureVisibleTab(tab.windowId, {
+      format: 'jpeg',
+      quality: SCREENSHOT_QUALITY
+    });
+  } catch (error) {
+    if (await chrome.permissions.contains({ origins: ['<all_urls>'] })) {
+      throw error;
+    }
+    throw new Error(`${error.message.replace(/\.$/, '')}. Screenshots after a page load need the screenshot access in Settings`);
+  }
+}
+
+// Screenshots and request/page error detail are stored beside the run record
+async function removeRunData(run) {
+  if (!run) return;
+  
+  const ids = (run.screenshots || []).map(screenshot => screenshot.id);
+  await chrome.storage.session.remove([...ids, getRunDetailKey(run.runId)]);
+}
+
+// Pause/resume/stop are recorded first so they also apply to a run whose page
+// is between loads, then forwarded to the content script
+async function handleScenarioControl(request, sender, sendResponse) {
+  const tabId = request.tabId || sender.tab?.id;
+  const states = { pauseScenario: 'paused', resumeScenario: 'running', stopScenario: 'stopped' };
+  
+  try {
+    if (!tabId) {
+      throw new Error('No valid tab found');
+    }
+    
+    const state = states[request.action];
+    if (state === 'stopped') {
+      cancelQueuedPageLoads(tabId);
+    }
+    
+    await updateScenarioRun(tabId, (run) => {
+      if (!isRunActive(run)) return run;
+      return { ...run, state, endTime: state === 'stopped' ? Date.now() : run.endTime };
+    });
+    
+    try {
+      await sendMessageWithTimeout(tabId, { action: request.action }, 5000);
+    } catch (error) {
+      console.log('[Speedway] Run control not delivered (page may be navigating):', error.message);
+    }
+    
+    sendResponse({ success: true, action: state });
+    
+  } catch (error) {
+    console.error('[Speedway] Error controlling scenario:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Fails a run whose navigation left the pages the content script runs on
+async function abandonScenarioRun(tabId, reason) {
+  let abandoned = null;
+  
+  await updateScenarioRun(tabId, (run) => {
+    if (!isRunActive(run)) return run;
+    
+    abandoned = { ...run, state: 'failed', error: reason, endTime: Date.now() };
+    return abandoned;
+  });
+  
+  if (!abandoned) return;
+  
+  console.warn('[Speedway] Scenario run abandoned:', reason);
+  chrome.runtime.sendMessage({
+    action: 'popupNotification',
+    event: 'scenarioError',
+    data: { scenario: abandoned.scenarioName, step: abandoned.currentStep, error: reason }
+  }).catch(() => {
+    // Popup might be closed
+  });
+}
+
+async function handleGetStatus(request, sender, sendResponse) {
+  const tabId = request.tabId || sender.tab?.id;
+  if (!tabId) {
+    sendResponse({ error: 'No valid tab found' });
+    return;
+  }
+  
+  try {
+    // An active run is answered from its record, which survives page loads
+    const run = await getScenarioRun(tabId);
+    if (isRunActive(run)) {
+      const status = buildRunStatus(run);
+      sendResponse({ ...status, status });
+      return;
+    }
+    
+    const response = await sendMessageWithTimeout(
+      tabId, 
+      { action: 'getStatus' }, 
+      5000
+    );
+    
+    // Lets the popup offer a report for the tab's last finished run
+    if (response.status && run) {
+      response.status.runId = run.runId;
+    }
+    sendResponse(response);
+  } catch (error) {
+    console.error('[Speedway] Error getting status:', error);
+    sendResponse({ error: error.message });
+  }
+}
+
+// Enhanced message sending with timeout and retry
+async function sendMessageWithTimeout(tabId, message, timeout = 5000) {
+  return new Promise((resolve, reject) => {
+    const timeoutId = setTimeout(() => {
+      reject(new Error('Message timeout'));
+    }, timeout);
+    
+    chrome.tabs.sendMessage(tabId, message, (response) => {
+      clearTimeout(timeoutId);
+      
+      if (chrome.runtime.lastError) {
+        // Retry once after short delay
+        setTimeout(() => {
+          chrome.tabs.sendMessage(tabId, message, (retryResponse) => {
+            if (chrome.runtime.lastError) {
+              reject(new Error('Content script not responding: ' + chrome.runtime.lastError.message));
+            } else {
+              resolve(retryResponse || {});
+            }
+          });
+        }, 500);
+      } else {
+        resolve(response || {});
+      }
+    });
+  });
+}
+
+// Ensure content script is properly injected
+async function ensureContentScriptInjected(tabId) {
+  if (injectedTabs.has(tabId)) {
+    return; // Already injected
+  }
+  
+  try {
+    // Test if content script is already running
+    await sendMessageWithTimeout(tabId, { action: 'ping' }, 2000);
+    injectedTabs.add(tabId);
+    console.log('[Speedway] Content script already active in tab:', tabId);
+    
+  } catch (error) {
+    // Content script not responding, inject it
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      
+      if (await isAllowedUrl(tab.url)) {
+        await chrome.scripting.executeScript({
+          target: { tabId: tabId },
+          files: CONTENT_SCRIPTS
+        });
+        
+        injectedTabs.add(tabId);
+        console.log('[Speedway] Content script injected into tab:', tabId);
+        
+        // Wait a bit for initialization
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    } catch (injectionError) {
+      console.error('[Speedway] Failed to inject content script:', injectionError);
+      throw new Error('Failed to inject content script: ' + injectionError.message);
+    }
+  }
+}
+
+// Tab management
+chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  if (changeInfo.status === 'complete' && tab.url) {
+    // Remove from injected set when page changes
+    if (changeInfo.url) {
+      injectedTabs.delete(tabId);
+    }
+    
+    // Auto-inject for allowed origins
+    if (await isAllowedUrl(tab.url)) {
+      console.log('[Speedway] Tab completed loading:', tab.url);
+      
+      try {
+        // Small delay to ensure page is fully ready
+        setTimeout(async () => {
+          await ensureContentScriptInjected(tabId);
+        }, 1000);
+      } catch (error) {
+        console.log('[Speedway] Auto-injection failed:', error.message);
+      }
+    }
+  }
+});
+
+chrome.tabs.onRemoved.addListener(async (tabId) => {
+  injectedTabs.delete(tabId);
+  cancelQueuedPageLoads(tabId);
+  
+  await updateRecordings(recordings => {
+    delete recordings[tabId];
+  });
+  
+  await removeRunData(await getScenarioRun(tabId));
+  await updateScenarioRun(tabId, () => null);
+});
+
+// Recording: attribute navigations to the step that caused them
+chrome.webNavigation.onCommitted.addListener((details) => {
+  if (details.frameId === 0) {
+    annotateRecordingNavigation(details.tabId, details.url, details.transitionType).catch(error => {
+      console.warn('[Speedway] Failed to annotate recording navigation:', error);
+    });
+    
+    // Politeness throttle: runs are charged for every page they load
+    countRunPageLoad(details.tabId, details.url).catch(error => {
+      console.warn('[Speedway] Failed to count page load:', error);
+    });
+  }
+});
+
+chrome.webNavigation.onHistoryStateUpdated.addListener((details) => {
+  if (details.frameId === 0) {
+    annotateRecordingNavigation(details.tabId, details.url, 'link').catch(error => {
+      console.warn('[Speedway] Failed to annotate recording navigation:', error);
+    });
+  }
+});
+
+// Navigation listener for better page change detection
+chrome.webNavigation.onCompleted.addListener(async (details) => {
+  if (details.frameId === 0) { // Main frame only
+    const { tabId, url } = details;
+    
+    if (await isAllowedUrl(url)) {
+      console.log('[Speedway] Navigation completed:', url);
+      
+      // A run in this tab resumes on the new page once its content script is up
+      const runActive = isRunActive(await getScenarioRun(tabId));
+      
+      // Notify content script about navigation if it exists
+      try {
+        await sendMessageWithTimeout(tabId, { 
+          action: 'navigationCompleted', 
+          url: url,
+          runActive
+        }, 2000);
+      } catch (error) {
+        // Content script might not be ready yet, that's ok
+        console.log('[Speedway] Navigation notification failed (normal):', error.message);
+      }
+    } else {
+      await abandonScenarioRun(tabId, `Navigated to unsupported page: ${url}`);
+    }
+  }
+});
+
+// Cleanup on startup
 chrome.runtime.onStartup.addListener(() => {
   console.log('[Speedway] Runtime startup - clearing injected tabs cache');
   injectedTabs.clear();
   setupKeepAlive();
+  
+  syncContentScriptRegistration().catch(error => {
+    console.error('[Speedway] Failed to register content scripts:', error);
+  });
 });
 
 // Global error handling
@@ -16,12 +16,17 @@ class SpeedwayAutoBrowser {
     
     // Core properties
     this.scenarioRunner = null;
+    this.recorder = null;
+    this.picker = null;
     this.isInitialized = false;
     this.isInitializing = false;
     this.settings = {};
     this.initializationAttempts = 0;
     this.maxInitAttempts = 5;
     
+    // Identifies this page load to the background, which owns scenario runs
+    this.instanceId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    
     // State management
     this.state = {
       ready: false,
@@ -102,6 +107,12 @@ class SpeedwayAutoBrowser {
       // Setup lifecycle management
       this.setupLifecycleManagement();
       
+      // Pick up a recording that was started before a page navigation
+      await this.restoreRecording();
+      
+      // Continue a scenario whose previous step navigated to this page
+      await this.restoreScenarioRun();
+      
       // Setup performance monitoring
       this.setupPerformanceMonitoring();
       
@@ -226,6 +237,7 @@ class SpeedwayAutoBrowser {
       humanness: 0.8,
       debug: false,
       autoStart: false,
+      executionMode: 'human',
       version: '1.0.0'
     };
   }
@@ -265,9 +277,10 @@ class SpeedwayAutoBrowser {
     console.log('[Speedway] Initializing modules with health checks...');
     
     try {
-      // Initialize PageDetector first
+      // Initialize PageDetector first, with the user's saved map overrides
       this.pageDetector = new PageDetector({ 
-        debug: this.settings.debug 
+        debug: this.settings.debug,
+        overrides: await this.loadDetectorOverrides()
       });
       
       await this.verifyModuleHealth('pageDetector', this.pageDetector);
@@ -284,17 +297,63 @@ class SpeedwayAutoBrowser {
       await this.verifyModuleHealth('humanSim', this.humanSim);
       this.moduleHealth.humanSim = 'healthy';
       
+      // Page-world error hooks are optional; runs work without them
+      if (typeof PageMonitor !== 'undefined') {
+        this.pageMonitor = new PageMonitor({
+          debug: this.settings.debug,
+          injectHooks: () => this.installPageHooks()
+        });
+      }
+      
+      // Safety guard sits between the runner and HumanSimulator
+      this.safetyGuard = new SafetyGuard({
+        debug: this.settings.debug,
+        pageDetector: this.pageDetector,
+        policy: await this.loadSafetyPolicy()
+      });
+      
       // Initialize ScenarioRunner
       this.scenarioRunner = new ScenarioRunner({
         debug: this.settings.debug,
         mouseSpeed: this.settings.mouseSpeed,
         typingSpeed: this.settings.typingSpeed,
-        humanness: this.settings.humanness
+        humanness: this.settings.humanness,
+        executionMode: this.settings.executionMode,
+        humanSim: this.humanSim,
+        pageDetector: this.pageDetector,
+        pageMonitor: this.pageMonitor,
+        safetyGuard: this.safetyGuard,
+        captureScreenshot: (request) => this.captureScreenshot(request),
+        acquirePageLoadSlot: (url) => this.acquirePageLoadSlot(url)
       });
       
       await this.verifyModuleHealth('scenarioRunner', this.scenarioRunner);
       this.moduleHealth.scenarioRunner = 'healthy';
       
+      // Before user scenarios, which may use plugin conditions
+      this.registerPlugins();
+      
+      // User scenarios are optional; a bad one must not block startup
+      await this.loadUserScenarios();
+      
+      // Recorder is optional; steps are collected by the background
+      if (typeof InteractionRecorder !== 'undefined') {
+        this.recorder = new InteractionRecorder({
+          debug: this.settings.debug,
+          pageDetector: this.pageDetector,
+          onStep: (step) => this.sendMessage({ action: 'recordStep', step })
+        });
+      }
+      
+      // Picker writes selectors into the element maps as user overrides
+      if (typeof ElementPicker !== 'undefined') {
+        this.picker = new ElementPicker({
+          debug: this.settings.debug,
+          pageDetector: this.pageDetector,
+          onSave: (override) => this.saveElementOverride(override)
+        });
+      }
+      
       console.log('[Speedway] All modules initialized and health-checked');
       
     } catch (error) {
@@ -302,6 +361,64 @@ class SpeedwayAutoBrowser {
     }
   }
   
+  async loadDetectorOverrides() {
+    try {
+      const response = await this.sendMessage({ action: 'getDetectorOverrides' });
+      return response.overrides || {};
+    } catch (error) {
+      console.warn('[Speedway] Failed to load detector overrides:', error);
+      return {};
+    }
+  }
+  
+  // Fails closed: without a policy the guard blocks irreversible clicks
+  async loadSafetyPolicy() {
+    try {
+      const response = await this.sendMessage({ action: 'getTabSafetyPolicy' });
+      return response.policy || {};
+    } catch (error) {
+      console.warn('[Speedway] Failed to load safety policy:', error);
+      return {};
+    }
+  }
+  
+  // Condition plugins (content/plugins/) queue themselves on
+  // window.speedwayPlugins before this script runs
+  registerPlugins() {
+    const plugins = window.speedwayPlugins || [];
+    
+    for (const plugin of plugins) {
+      for (const [name, { predicate, schema }] of Object.entries(plugin.conditions || {})) {
+        try {
+          this.scenarioRunner.registerCondition(name, predicate, schema);
+        } catch (error) {
+          console.warn(`[Speedway] Skipping condition '${name}' from plugin '${plugin.name}':`, error.message);
+        }
+      }
+    }
+    
+    console.log(`[Speedway] Registered ${plugins.length} condition plugins`);
+  }
+  
+  async loadUserScenarios() {
+    try {
+      const response = await this.sendMessage({ action: 'getUserScenarios' });
+      const scenarios = Object.values(response.scenarios || {});
+      
+      for (const definition of scenarios) {
+        try {
+          this.scenarioRunner.registerScenario(definition, 'user');
+        } catch (error) {
+          console.warn(`[Speedway] Skipping invalid user scenario '${definition?.name}':`, error.message);
+        }
+      }
+      
+      console.log(`[Speedway] Loaded ${scenarios.length} user scenarios`);
+    } catch (error) {
+      console.warn('[Speedway] Failed to load user scenarios:', error);
+    }
+  }
+  
   async verifyModuleHealth(moduleName, moduleInstance) {
     try {
       // Basic instance check
@@ -380,10 +497,13 @@ class SpeedwayAutoBrowser {
   setupScenarioEventForwarding() {
     if (!this.scenarioRunner) return;
     
-    const events = ['onStart', 'onComplete', 'onError', 'onStepComplete', 'onStepStart'];
+    const events = ['onStart', 'onResume', 'onComplete', 'onError', 'onStop', 'onStepComplete', 'onStepStart', 'onPageError'];
     
     events.forEach(event => {
-      const handler = (data) => this.forwardScenarioEvent(event, data);
+      const handler = (data) => {
+        this.syncScenarioRun(event);
+        this.forwardScenarioEvent(event, data);
+      };
       this.scenarioRunner.on(event, handler);
       
       // Track for cleanup
@@ -394,13 +514,127 @@ class SpeedwayAutoBrowser {
   }
   
   forwardScenarioEvent(event, data) {
+    // Runner event names -> popup notification names
+    const eventNames = {
+      onStart: 'scenarioStarted',
+      onResume: 'scenarioResumed',
+      onComplete: 'scenarioCompleted',
+      onError: 'scenarioError',
+      onStop: 'scenarioStopped',
+      onStepStart: 'stepStarted',
+      onStepComplete: 'stepCompleted',
+      onPageError: 'pageError'
+    };
+    
     try {
-      this.notifyPopup(event.replace('on', '').toLowerCase(), data);
+      this.notifyPopup(eventNames[event] || event.replace('on', '').toLowerCase(), data);
     } catch (error) {
       console.warn('[Speedway] Failed to forward event:', event, error);
     }
   }
   
+  // The background owns the run; each event refreshes its checkpoint so the
+  // content script on the next page can resume after a full navigation. The
+  // definition is only sent when the run starts, and step detail only once
+  // the run ends (or the page is about to be left, see acquirePageLoadSlot).
+  syncScenarioRun(event) {
+    if (!this.scenarioRunner.runId) return;
+    
+    this.sendMessage({
+      action: 'updateScenarioRun',
+      event,
+      instanceId: this.instanceId,
+      checkpoint: this.scenarioRunner.getCheckpoint({ includeScenario: event === 'onStart' })
+    }).then(response => {
+      if (response.error) {
+        throw new Error(response.error);
+      }
+    }).catch(error => {
+      this.reportRunSyncFailure('checkpoint', error);
+    });
+    
+    if (['onComplete', 'onError', 'onStop'].includes(event)) {
+      this.saveRunDetail();
+    }
+  }
+  
+  async saveRunDetail() {
+    if (!this.scenarioRunner.runId) return;
+    
+    try {
+      const response = await this.sendMessage({
+        action: 'saveRunDetail',
+        instanceId: this.instanceId,
+        detail: this.scenarioRunner.getRunDetail()
+      });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+    } catch (error) {
+      this.reportRunSyncFailure('request and page error detail', error);
+    }
+  }
+  
+  // A checkpoint the background could not store means the run cannot resume
+  // after the next navigation, so this is shown in the popup log
+  reportRunSyncFailure(what, error) {
+    console.warn(`[Speedway] Failed to save scenario run ${what}:`, error);
+    this.notifyPopup('runSyncFailed', { what, error: error.message });
+  }
+  
+  // The background captures the visible tab; debug overlays can be hidden
+  // for the duration so they do not end up in the image
+  async captureScreenshot(request) {
+    const hidden = request.hideOverlays ? this.hideDebugOverlays() : [];
+    
+    try {
+      if (hidden.length > 0) {
+        await this.sleep(100); // Let the page repaint without the overlays
+      }
+      
+      const response = await this.sendMessage({ action: 'captureScreenshot', ...request });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      
+      return response.screenshot;
+    } finally {
+      hidden.forEach(({ element, visibility }) => {
+        element.style.visibility = visibility;
+      });
+    }
+  }
+  
+  // The background injects page-hooks.js into this frame's main world
+  async installPageHooks() {
+    const response = await this.sendMessage({ action: 'installPageHooks' });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+  }
+  
+  // Resolves once the background's politeness throttle grants the page load.
+  // The runner asks right before navigating, so this page's step detail is
+  // handed to the background first.
+  async acquirePageLoadSlot(url) {
+    await this.saveRunDetail();
+    
+    const response = await this.sendMessage({ action: 'acquirePageLoadSlot', url });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    return response;
+  }
+  
+  hideDebugOverlays() {
+    return Array.from(document.querySelectorAll('#human-sim-debug, #page-detector-debug')).map(element => {
+      const visibility = element.style.visibility;
+      element.style.visibility = 'hidden';
+      return { element, visibility };
+    });
+  }
+  
   setupHeartbeat() {
     const heartbeatInterval = 30000; // 30 seconds
     
@@ -590,6 +824,18 @@ class SpeedwayAutoBrowser {
       // Status and information
       getStatus: () => this.handleGetStatus(),
       getScenarios: () => this.handleGetScenarios(),
+      estimatePageLoads: () => this.handleEstimatePageLoads(request),
+      validateScenario: () => this.handleValidateScenario(request.definition),
+      importScenario: () => this.handleImportScenario(request.definition),
+      deleteScenario: () => this.handleDeleteScenario(request.scenario),
+      
+      // Recording
+      startRecording: () => this.handleStartRecording(),
+      stopRecording: () => this.handleStopRecording(),
+      
+      // Element picker
+      startPicking: () => this.handleStartPicking(),
+      stopPicking: () => this.handleStopPicking(),
       getCurrentPage: () => this.handleGetCurrentPage(),
       
       // Configuration
@@ -640,17 +886,30 @@ class SpeedwayAutoBrowser {
       throw new Error('Scenario runner not available');
     }
     
-    const { scenario, parameters = {} } = request;
+    const { scenario, definition, parameters = {}, runId = null, mode = null, seed = null } = request;
     
-    console.log(`[Speedway] Executing scenario: ${scenario}`, parameters);
+    // Either a registered scenario name or an inline JSON definition
+    const target = definition || this.scenarioRunner.getScenario(scenario);
+    const name = target.name || scenario;
     
-    try {
-      await this.scenarioRunner.runScenario(scenario, parameters);
-      return { success: true, timestamp: Date.now() };
-    } catch (error) {
-      this.moduleHealth.scenarioRunner = 'unhealthy';
-      throw error;
+    console.log(`[Speedway] Executing scenario: ${name}`, parameters);
+    
+    // Fail fast on malformed scenarios, bad run options or a busy runner before replying
+    this.scenarioRunner.assertValidScenario(target);
+    this.scenarioRunner.resolveExecutionMode(mode);
+    if (this.scenarioRunner.isRunning) {
+      throw new Error(`Scenario '${this.scenarioRunner.currentScenario}' is already running`);
     }
+    
+    // Drawn here when not given so the reply can tell the caller how to replay
+    const runSeed = this.scenarioRunner.resolveSeed(seed);
+    
+    // Runs outlive the message channel; progress is reported via runner events
+    this.scenarioRunner.runScenario(target, parameters, { runId, mode, seed: runSeed }).catch(error => {
+      console.warn(`[Speedway] Scenario '${name}' failed:`, error.message);
+    });
+    
+    return { success: true, scenario: name, runId, seed: runSeed, timestamp: Date.now() };
   }
   
   async handlePauseScenario() {
@@ -692,6 +951,7 @@ class SpeedwayAutoBrowser {
     const status = this.scenarioRunner.getStatus();
     return {
       ...status,
+      status,
       moduleHealth: this.moduleHealth,
       communicationState: this.communicationState,
       uptime: Date.now() - this.performance.initStart
@@ -707,6 +967,147 @@ class SpeedwayAutoBrowser {
     return { scenarios };
   }
   
+  async handleEstimatePageLoads(request) {
+    if (!this.scenarioRunner) {
+      throw new Error('Scenario runner not available');
+    }
+    
+    const { scenario, definition, parameters = {} } = request;
+    const target = definition || this.scenarioRunner.getScenario(scenario);
+    
+    return { pageLoads: this.scenarioRunner.estimatePageLoads(target, parameters) };
+  }
+  
+  async handleValidateScenario(definition) {
+    if (!this.scenarioRunner) {
+      throw new Error('Scenario runner not available');
+    }
+    
+    return this.scenarioRunner.validateScenario(definition);
+  }
+  
+  async handleImportScenario(definition) {
+    if (!this.scenarioRunner) {
+      throw new Error('Scenario runner not available');
+    }
+    
+    const scenario = this.scenarioRunner.registerScenario(definition, 'user');
+    
+    const response = await this.sendMessage({ action: 'saveUserScenario', scenario: definition });
+    if (response.error) {
+      this.scenarioRunner.unregisterScenario(scenario.name);
+      throw new Error(response.error);
+    }
+    
+    return { success: true, scenario: scenario.name };
+  }
+  
+  async handleDeleteScenario(name) {
+    if (!this.scenarioRunner) {
+      throw new Error('Scenario runner not available');
+    }
+    
+    this.scenarioRunner.unregisterScenario(name);
+    await this.sendMessage({ action: 'deleteUserScenario', scenario: name });
+    
+    return { success: true, scenario: name };
+  }
+  
+  async handleStartRecording() {
+    if (!this.recorder) {
+      throw new Error('Interaction recorder not available');
+    }
+    
+    if (this.scenarioRunner && this.scenarioRunner.isRunning) {
+      throw new Error('Cannot record while a scenario is running');
+    }
+    
+    // Element-name mapping needs the current page type
+    await this.pageDetector.detectCurrentPage();
+    this.recorder.start();
+    
+    return { success: true, action: 'recording' };
+  }
+  
+  async handleStopRecording() {
+    if (!this.recorder) {
+      throw new Error('Interaction recorder not available');
+    }
+    
+    await this.recorder.stop();
+    return { success: true, action: 'recording_stopped', stepCount: this.recorder.stepCount };
+  }
+  
+  async handleStartPicking() {
+    if (!this.picker) {
+      throw new Error('Element picker not available');
+    }
+    
+    if (this.scenarioRunner && this.scenarioRunner.isRunning) {
+      throw new Error('Cannot pick elements while a scenario is running');
+    }
+    
+    if (this.recorder && this.recorder.isRecording) {
+      throw new Error('Cannot pick elements while recording');
+    }
+    
+    // The picker defaults to the current page type
+    await this.pageDetector.detectCurrentPage();
+    this.picker.start();
+    
+    return { success: true, action: 'picking' };
+  }
+  
+  async handleStopPicking() {
+    if (this.picker) {
+      this.picker.stop();
+    }
+    
+    return { success: true, action: 'picking_stopped' };
+  }
+  
+  async saveElementOverride(override) {
+    const response = await this.sendMessage({ action: 'saveElementOverride', ...override });
+    if (response.error) {
+      throw new Error(response.error);
+    }
+    
+    this.pageDetector.applyOverrides(response.overrides);
+  }
+  
+  async restoreRecording() {
+    if (!this.recorder) return;
+    
+    try {
+      const response = await this.sendMessage({ action: 'getRecordingState' });
+      if (response.recording) {
+        await this.pageDetector.detectCurrentPage();
+        this.recorder.start();
+        console.log('[Speedway] Resumed recording after navigation');
+      }
+    } catch (error) {
+      console.warn('[Speedway] Failed to restore recording state:', error);
+    }
+  }
+  
+  async restoreScenarioRun() {
+    if (!this.scenarioRunner || this.scenarioRunner.isRunning) return;
+    
+    try {
+      // Claiming is atomic in the background, so only one page load resumes a run
+      const response = await this.sendMessage({ action: 'claimScenarioRun', instanceId: this.instanceId });
+      const run = response.run;
+      if (!run) return;
+      
+      console.log(`[Speedway] Resuming scenario '${run.scenario.name}' after step ${run.path}`);
+      this.scenarioRunner.resumeScenario(run).catch(error => {
+        console.warn(`[Speedway] Resumed scenario '${run.scenario.name}' failed:`, error.message);
+      });
+    } catch (error) {
+      console.warn('[Speedway] Failed to restore scenario run:', error);
+    }
+  }
+  
   async handleGetCurrentPage() {
     if (!this.pageDetector) {
       throw new Error('Page detector not available');
@@ -726,11 +1127,28 @@ class SpeedwayAutoBrowser {
       throw new Error('Invalid settings object');
     }
     
+    // Detector overrides and the safety policy are pushed by the background
+    // after they are edited; they live in local storage, not in the synced
+    // settings
+    const { detectorOverrides, safetyPolicy, ...settings } = newSettings;
+    if (detectorOverrides) {
+      this.pageDetector.applyOverrides(detectorOverrides);
+      await this.pageDetector.detectCurrentPage({ force: true });
+    }
+    
+    if (safetyPolicy) {
+      this.safetyGuard.applyPolicy(safetyPolicy);
+    }
+    
+    if ((detectorOverrides || safetyPolicy) && Object.keys(settings).length === 0) {
+      return { success: true, settings: this.settings };
+    }
+    
     // Update local settings
-    this.settings = { ...this.settings, ...newSettings };
+    this.settings = { ...this.settings, ...settings };
     
     // Update module settings
-    await this.propagateSettingsToModules(newSettings);
+    await this.propagateSettingsToModules(settings);
     
     // Save to storage
     await this.saveSettingsToStorage();
@@ -789,6 +1207,7 @@ class SpeedwayAutoBrowser {
   async handlePing() {
     return {
       pong: true,
+      success: true,
       timestamp: Date.now(),
       initialized: this.isInitialized,
       moduleHealth: this.moduleHealth
@@ -828,6 +1247,10 @@ class SpeedwayAutoBrowser {
   async handleNavigationCompleted(request) {
     console.log('[Speedway] Navigation completed:', request.url);
     
+    if (request.runActive) {
+      await this.restoreScenarioRun();
+    }
+    
     // Trigger page re-detection
     if (this.pageDetector) {
       setTimeout(() => {
@@ -1022,10 +1445,22 @@ class SpeedwayAutoBrowser {
     this.state.cleanupTasks = [];
     
     // Destroy modules
+    if (this.recorder) {
+      this.recorder.destroy();
+    }
+    
+    if (this.picker) {
+      this.picker.destroy();
+    }
+    
     if (this.scenarioRunner && this.scenarioRunner.destroy) {
       this.scenarioRunner.destroy();
     }
     
+    if (this.pageMonitor) {
+      this.pageMonitor.destroy();
+    }
+    
     if (this.pageDetector && this.pageDetector.destroy) {
       this.pageDetector.destroy();
     }
@@ -1099,15 +1534,11 @@ class SpeedwayAutoBrowser {
  */
 
 function initializeExtension() {
-  // Check if we're on the target domain
-  const validDomains = ['speedwaymotors.com', 'localhost'];
+  // Origins are checked before injection: the manifest matches, the scripts
+  // registered for the options allowlist and background injection all gate
+  // on the same list
   const currentDomain = window.location.hostname;
   
-  if (!validDomains.some(domain => currentDomain.includes(domain))) {
-    console.log('[Speedway] Not on target domain:', currentDomain);
-    return;
-  }
-  
   // Initialize based on document state
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', createInstance);
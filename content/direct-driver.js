@@ -0,0 +1,231 @@
+/**
+ * Direct Driver - Fast Deterministic Execution
+ * Stands in for HumanSimulator when a run uses the 'fast' execution mode:
+ * same method names, but no mouse paths, typing rhythm or scroll momentum.
+ * Focus is immediate, values are set in one go with input/change events, and
+ * scrolling is instant. Actionability checks and event dispatch are shared
+ * with the HumanSimulator instance so both modes fail the same way.
+ */
+
+class DirectDriver {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      checkActionability: options.checkActionability !== false,
+      ...options
+    };
+    
+    this.humanSim = options.humanSim;
+    if (!this.humanSim) {
+      throw new Error('DirectDriver requires a HumanSimulator for actionability checks');
+    }
+  }
+  
+  /**
+   * MOUSE
+   */
+  
+  // Jumps to the element's center; the shared mouse position keeps hover
+  // events consistent if the next run is human-like again
+  async moveMouseToElement(element) {
+    if (!this.humanSim.validateElement(element)) {
+      throw new Error('Invalid or inaccessible element for mouse movement');
+    }
+    
+    const point = this.getCenter(element);
+    this.humanSim.mousePosition = point;
+    this.humanSim.dispatchMouseEventSafe('mousemove', point.x, point.y, element);
+    
+    return point;
+  }
+  
+  async humanClick(element, options = {}) {
+    const config = {
+      doubleClick: options.doubleClick || false,
+      checkActionability: this.humanSim.options.checkActionability && this.options.checkActionability,
+      ...options
+    };
+    
+    if (config.checkActionability) {
+      await this.humanSim.ensureActionable(element);
+    } else if (!this.humanSim.validateElement(element)) {
+      throw new Error('Element is not clickable');
+    }
+    
+    const { x, y } = await this.moveMouseToElement(element);
+    
+    this.humanSim.dispatchMouseEventSafe('mouseover', x, y, element);
+    
+    if (config.beforeClick) {
+      config.beforeClick();
+    }
+    
+    this.clickAt(element, x, y);
+    
+    if (config.doubleClick) {
+      this.clickAt(element, x, y);
+      this.humanSim.dispatchMouseEventSafe('dblclick', x, y, element);
+    }
+    
+    this.humanSim.performanceStats.clicks++;
+    this.logDebug(`Clicked ${this.humanSim.describeElement(element)}`);
+    
+    return true;
+  }
+  
+  clickAt(element, x, y) {
+    this.humanSim.dispatchMouseEventSafe('mousedown', x, y, element);
+    this.humanSim.dispatchMouseEventSafe('mouseup', x, y, element);
+    this.humanSim.dispatchMouseEventSafe('click', x, y, element);
+    this.humanSim.attemptElementFocus(element);
+  }
+  
+  /**
+   * TYPING
+   */
+  
+  // Sets the whole value at once. Returns the resulting value like humanType.
+  async humanType(element, text, options = {}) {
+    if (!element) {
+      throw new Error('Element not found for typing');
+    }
+    
+    const config = {
+      clearFirst: options.clearFirst !== false,
+      triggerEvents: options.triggerEvents !== false,
+      checkActionability: this.humanSim.options.checkActionability && this.options.checkActionability,
+      ...options
+    };
+    
+    if (config.checkActionability) {
+      await this.humanSim.ensureActionable(element, { editable: true });
+    }
+    
+    if (!this.humanSim.isElementTypeable(element)) {
+      throw new Error('Element is not ready for text input');
+    }
+    
+    element.focus();
+    
+    const value = config.clearFirst ? text : this.humanSim.getElementValue(element) + text;
+    this.setValue(element, value);
+    
+    this.dispatchInput(element, text);
+    if (config.triggerEvents) {
+      element.dispatchEvent(new (this.humanSim.getElementWindow(element).Event)('change', { bubbles: true }));
+    }
+    
+    this.humanSim.performanceStats.keystrokes += text.length;
+    this.logDebug(`Typed text: ${text}`);
+    
+    return this.humanSim.getElementValue(element);
+  }
+  
+  // Frameworks such as React track the value through the prototype setter,
+  // so assigning element.value directly would be swallowed
+  setValue(element, value) {
+    if (element.contentEditable === 'true') {
+      element.textContent = value;
+      return;
+    }
+    
+    const view = this.humanSim.getElementWindow(element);
+    const prototype = element.tagName === 'TEXTAREA' ? view.HTMLTextAreaElement.prototype : view.HTMLInputElement.prototype;
+    const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+    
+    if (setter) {
+      setter.call(element, value);
+    } else {
+      element.value = value;
+    }
+    
+    if (element.setSelectionRange) {
+      try {
+        element.setSelectionRange(value.length, value.length);
+      } catch (error) {
+        // Some input types (email) do not support selection
+      }
+    }
+  }
+  
+  dispatchInput(element, text) {
+    const view = this.humanSim.getElementWindow(element);
+    const init = { bubbles: true, cancelable: false, composed: true, inputType: 'insertText', data: text };
+    
+    element.dispatchEvent(typeof view.InputEvent === 'function' ?
+      new view.InputEvent('input', init) : new view.Event('input', init));
+  }
+  
+  // Same key events and Enter/Tab handling as HumanSimulator, without pauses
+  async simulateKeyPress(key, element = null) {
+    const target = element || this.humanSim.getDeepActiveElement() || document.body;
+    
+    this.humanSim.dispatchKeyboardEventSafe(target, 'keydown', key);
+    this.humanSim.dispatchKeyboardEventSafe(target, 'keypress', key);
+    this.humanSim.dispatchKeyboardEventSafe(target, 'keyup', key);
+    
+    if (key === 'Enter') {
+      await this.humanSim.handleEnterKeyPress(target);
+    } else if (key === 'Tab') {
+      await this.humanSim.handleTabKeyPress(target);
+    }
+  }
+  
+  /**
+   * SCROLLING
+   */
+  
+  async humanScroll(options = {}) {
+    const direction = options.direction || 'down';
+    const distance = options.distance || 300;
+    const element = options.element || window;
+    const top = direction === 'up' ? -distance : distance;
+    
+    if (element === window) {
+      window.scrollBy({ top, behavior: 'instant' });
+    } else {
+      element.scrollTop += top;
+    }
+  }
+  
+  async scrollToElement(element) {
+    if (!this.humanSim.validateElement(element)) {
+      throw new Error('Invalid element for scrolling');
+    }
+    
+    // Bring the frame into view first, then the element within the frame
+    const frame = this.humanSim.getElementWindow(element).frameElement;
+    if (frame && this.humanSim.getElementWindow(element) !== window) {
+      await this.scrollToElement(frame);
+    }
+    
+    element.scrollIntoView({ block: 'center', inline: 'nearest', behavior: 'instant' });
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  getCenter(element) {
+    const rect = this.humanSim.getViewportRect(element);
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+  
+  // The HumanSimulator is shared with the content script and outlives this driver
+  destroy() {}
+  
+  logDebug(message) {
+    if (this.options.debug) {
+      console.log(`[DirectDriver] ${message}`);
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DirectDriver;
+} else if (typeof window !== 'undefined') {
+  window.DirectDriver = DirectDriver;
+}
+
+console.log('[DirectDriver] Direct driver loaded successfully');
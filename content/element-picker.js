@@ -0,0 +1,412 @@
+/**
+ * Element Picker
+ * Pick mode started from the popup: hovering highlights elements, clicking one
+ * generates a stable selector that can be saved under an elementName as a
+ * user override of PageDetector's element maps
+ */
+
+class ElementPicker {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      highlightColor: options.highlightColor || '#e53935',
+      ...options
+    };
+    
+    this.pageDetector = options.pageDetector || null;
+    this.onSave = options.onSave || (() => {});
+    
+    this.isPicking = false;
+    this.listeners = [];
+    this.host = null;
+    this.ui = null;
+    this.hovered = null;
+    this.selected = null;
+  }
+  
+  /**
+   * PICK MODE CONTROL
+   */
+  
+  start() {
+    if (this.isPicking) return;
+    
+    this.isPicking = true;
+    this.createUi();
+    
+    // Same-origin frames and their documents are pickable too
+    const documents = this.pageDetector.locators.getSearchRoots(document)
+      .filter(root => root.nodeType === Node.DOCUMENT_NODE);
+    
+    for (const doc of documents) {
+      // Capture phase so the page never sees the clicks used for picking
+      this.listen(doc, 'mousemove', (e) => this.handleMouseMove(e), true);
+      this.listen(doc, 'click', (e) => this.handleClick(e), true);
+      this.listen(doc, 'keydown', (e) => this.handleKeydown(e), true);
+      
+      for (const type of ['mousedown', 'mouseup', 'pointerdown', 'pointerup', 'dblclick']) {
+        this.listen(doc, type, (e) => this.swallow(e), true);
+      }
+    }
+    
+    this.logDebug('Pick mode started');
+  }
+  
+  stop() {
+    if (!this.isPicking) return;
+    
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    
+    if (this.host) {
+      this.host.remove();
+    }
+    
+    this.host = null;
+    this.ui = null;
+    this.hovered = null;
+    this.selected = null;
+    this.isPicking = false;
+    
+    this.logDebug('Pick mode stopped');
+  }
+  
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+  
+  /**
+   * EVENT HANDLERS
+   */
+  
+  handleMouseMove(event) {
+    if (this.selected) return;
+    
+    const element = this.getTarget(event);
+    if (!element || element === this.hovered) return;
+    
+    this.hovered = element;
+    this.highlight(element, this.pageDetector.buildSelector(element));
+  }
+  
+  handleClick(event) {
+    if (this.isOwnEvent(event)) return;
+    
+    this.swallow(event);
+    
+    // While the assign panel is open, page clicks do nothing
+    if (this.selected) return;
+    
+    const element = this.getTarget(event);
+    if (element) {
+      this.select(element);
+    }
+  }
+  
+  handleKeydown(event) {
+    if (event.key !== 'Escape') return;
+    
+    this.swallow(event);
+    
+    // Escape backs out of the panel first, then out of pick mode
+    if (this.selected) {
+      this.deselect();
+    } else {
+      this.stop();
+    }
+  }
+  
+  swallow(event) {
+    if (this.isOwnEvent(event)) return;
+    
+    event.preventDefault();
+    event.stopImmediatePropagation();
+  }
+  
+  // The UI lives in a closed shadow root, so its events are retargeted to the host
+  isOwnEvent(event) {
+    return !!this.host && event.composedPath().includes(this.host);
+  }
+  
+  getTarget(event) {
+    if (this.isOwnEvent(event)) return null;
+    
+    const target = event.composedPath()[0];
+    return target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+  }
+  
+  /**
+   * SELECTION
+   */
+  
+  select(element) {
+    this.selected = element;
+    
+    const selector = this.pageDetector.buildSelector(element);
+    const pageTypes = Object.keys(this.pageDetector.elementMaps);
+    const currentType = this.pageDetector.currentPage?.type;
+    
+    this.highlight(element, selector);
+    
+    const { panel } = this.ui;
+    panel.querySelector('[name="selector"]').value = selector;
+    panel.querySelector('[name="pageType"]').innerHTML = pageTypes
+      .map(pageType => `<option value="${this.escapeHtml(pageType)}">${this.escapeHtml(pageType)}</option>`)
+      .join('');
+    panel.querySelector('[name="pageType"]').value = pageTypes.includes(currentType) ? currentType : pageTypes[0];
+    panel.querySelector('[name="elementName"]').value = this.suggestElementName(element);
+    
+    this.updateElementNames();
+    this.validate();
+    panel.hidden = false;
+    panel.querySelector('[name="elementName"]').focus();
+  }
+  
+  deselect() {
+    this.selected = null;
+    this.ui.panel.hidden = true;
+    this.setStatus('');
+  }
+  
+  // Existing names for the chosen page type, so picks can replace a mapped element
+  updateElementNames() {
+    const { panel } = this.ui;
+    const pageType = panel.querySelector('[name="pageType"]').value;
+    const names = Object.keys(this.pageDetector.elementMaps[pageType] || {});
+    
+    panel.querySelector('#element-names').innerHTML = names
+      .map(name => `<option value="${this.escapeHtml(name)}"></option>`)
+      .join('');
+  }
+  
+  suggestElementName(element) {
+    const mapped = this.findMappedName(element);
+    if (mapped) return mapped;
+    
+    const words = this.pageDetector.locators.normalizeText(
+      element.getAttribute('aria-label') || element.textContent || element.getAttribute('name') || ''
+    ).replace(/[^a-zA-Z0-9 ]/g, '').split(' ').filter(Boolean).slice(0, 3);
+    
+    if (words.length === 0) return '';
+    
+    return words
+      .map((word, index) => index === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase())
+      .join('') + this.getRoleSuffix(element);
+  }
+  
+  findMappedName(element) {
+    const pageType = this.pageDetector.currentPage?.type;
+    const elementMap = this.pageDetector.elementMaps[pageType] || {};
+    
+    for (const [elementName, selectors] of Object.entries(elementMap)) {
+      for (const selector of Array.isArray(selectors) ? selectors : [selectors]) {
+        try {
+          if (this.pageDetector.queryAll(selector).includes(element)) return elementName;
+        } catch (error) {
+          // Invalid selector, continue
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  getRoleSuffix(element) {
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'button' || element.getAttribute('role') === 'button') return 'Button';
+    if (tagName === 'a') return 'Link';
+    if (['input', 'select', 'textarea'].includes(tagName)) return 'Input';
+    return '';
+  }
+  
+  // The selector must still resolve to the picked element first, since the
+  // runner acts on the first visible match
+  validate() {
+    const { panel } = this.ui;
+    const selector = panel.querySelector('[name="selector"]').value.trim();
+    const elementName = panel.querySelector('[name="elementName"]').value.trim();
+    const saveButton = panel.querySelector('[data-action="save"]');
+    
+    let problem = null;
+    let matches = [];
+    
+    if (!selector) {
+      problem = 'Selector is required';
+    } else {
+      try {
+        matches = this.pageDetector.queryAll(selector);
+      } catch (error) {
+        problem = `Invalid selector: ${error.message}`;
+      }
+    }
+    
+    if (!problem && !matches.includes(this.selected)) {
+      problem = 'Selector does not match the picked element';
+    } else if (!problem && matches[0] !== this.selected) {
+      problem = `Selector matches ${matches.length} elements and the picked one is not first`;
+    } else if (!problem && !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(elementName)) {
+      problem = 'Element name must be an identifier like addToCartButton';
+    }
+    
+    saveButton.disabled = !!problem;
+    this.setStatus(problem || `Matches ${matches.length} element${matches.length === 1 ? '' : 's'}`, !!problem);
+    
+    return !problem;
+  }
+  
+  async save() {
+    if (!this.validate()) return;
+    
+    const { panel } = this.ui;
+    const override = {
+      pageType: panel.querySelector('[name="pageType"]').value,
+      elementName: panel.querySelector('[name="elementName"]').value.trim(),
+      selector: panel.querySelector('[name="selector"]').value.trim()
+    };
+    
+    try {
+      await this.onSave(override);
+      this.logDebug('Saved element override:', override);
+      
+      this.setStatus(`Saved ${override.pageType}.${override.elementName}`);
+      setTimeout(() => this.stop(), 1200);
+    } catch (error) {
+      this.setStatus(`Save failed: ${error.message}`, true);
+    }
+  }
+  
+  /**
+   * OVERLAY
+   */
+  
+  createUi() {
+    this.host = document.createElement('speedway-element-picker');
+    this.host.style.cssText = 'position: fixed; top: 0; left: 0; width: 0; height: 0; z-index: 2147483647;';
+    
+    // Closed shadow root: page styles cannot leak in and locators never see it
+    const root = this.host.attachShadow({ mode: 'closed' });
+    root.innerHTML = `
+      <style>
+        .box { position: fixed; pointer-events: none; border: 2px solid ${this.options.highlightColor}; background: rgba(229, 57, 53, 0.12); border-radius: 2px; display: none; }
+        .tag { position: fixed; pointer-events: none; max-width: 480px; padding: 2px 6px; font: 11px/1.4 monospace; color: #fff; background: ${this.options.highlightColor}; border-radius: 2px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; display: none; }
+        .hint { position: fixed; top: 8px; left: 50%; transform: translateX(-50%); padding: 6px 12px; font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #fff; background: rgba(0, 0, 0, 0.8); border-radius: 4px; }
+        .panel { position: fixed; right: 16px; bottom: 16px; width: 340px; padding: 12px; font: 12px -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #1f2933; background: #fff; border: 1px solid #cbd2d9; border-radius: 6px; box-shadow: 0 4px 16px rgba(0, 0, 0, 0.25); }
+        .panel[hidden] { display: none; }
+        .panel label { display: block; margin: 6px 0 2px; font-weight: 600; }
+        .panel input, .panel select { box-sizing: border-box; width: 100%; padding: 4px 6px; font: 12px monospace; border: 1px solid #cbd2d9; border-radius: 3px; }
+        .status { min-height: 16px; margin-top: 6px; color: #52606d; }
+        .status.error { color: #c62828; }
+        .actions { display: flex; gap: 6px; justify-content: flex-end; margin-top: 8px; }
+        .actions button { padding: 4px 10px; font-size: 12px; cursor: pointer; }
+      </style>
+      <div class="box"></div>
+      <div class="tag"></div>
+      <div class="hint">Click an element to map it · Esc to cancel</div>
+      <div class="panel" hidden>
+        <label>Selector</label>
+        <input name="selector" spellcheck="false">
+        <label>Page type</label>
+        <select name="pageType"></select>
+        <label>Element name</label>
+        <input name="elementName" list="element-names" spellcheck="false">
+        <datalist id="element-names"></datalist>
+        <div class="status"></div>
+        <div class="actions">
+          <button data-action="repick">Pick again</button>
+          <button data-action="cancel">Cancel</button>
+          <button data-action="save">Save</button>
+        </div>
+      </div>
+    `;
+    
+    this.ui = {
+      box: root.querySelector('.box'),
+      tag: root.querySelector('.tag'),
+      panel: root.querySelector('.panel'),
+      status: root.querySelector('.status')
+    };
+    
+    const { panel } = this.ui;
+    panel.querySelector('[name="selector"]').addEventListener('input', () => this.validate());
+    panel.querySelector('[name="elementName"]').addEventListener('input', () => this.validate());
+    panel.querySelector('[name="pageType"]').addEventListener('change', () => {
+      this.updateElementNames();
+      this.validate();
+    });
+    panel.querySelector('[data-action="save"]').addEventListener('click', () => this.save());
+    panel.querySelector('[data-action="repick"]').addEventListener('click', () => this.deselect());
+    panel.querySelector('[data-action="cancel"]').addEventListener('click', () => this.stop());
+    
+    (document.body || document.documentElement).appendChild(this.host);
+  }
+  
+  highlight(element, selector) {
+    const { box, tag } = this.ui;
+    const rect = this.pageDetector.locators.getViewportRect(element);
+    
+    Object.assign(box.style, {
+      display: 'block',
+      left: `${rect.left}px`,
+      top: `${rect.top}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    
+    // Label above the element, or below it at the top of the viewport
+    Object.assign(tag.style, {
+      display: 'block',
+      left: `${Math.max(0, rect.left)}px`,
+      top: `${rect.top > 24 ? rect.top - 22 : rect.bottom + 4}px`
+    });
+    tag.textContent = selector;
+  }
+  
+  setStatus(message, isError = false) {
+    if (!this.ui) return;
+    
+    this.ui.status.textContent = message;
+    this.ui.status.classList.toggle('error', isError);
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  getStatus() {
+    return {
+      isPicking: this.isPicking,
+      selected: !!this.selected
+    };
+  }
+  
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  
+  logDebug(message, data = null) {
+    if (this.options.debug) {
+      console.log(`[ElementPicker] ${message}`, data);
+    }
+  }
+  
+  destroy() {
+    this.stop();
+    this.onSave = () => {};
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ElementPicker;
+} else if (typeof window !== 'undefined') {
+  window.ElementPicker = ElementPicker;
+}
+
+console.log('[ElementPicker] Element picker loaded successfully');
@@ -11,6 +11,8 @@ class HumanSimulator {
       humanness: options.humanness || 0.8,
       debug: options.debug || false,
       frameRate: options.frameRate || 60, // Max FPS for animations
+      checkActionability: options.checkActionability !== false,
+      actionabilityTimeout: options.actionabilityTimeout || 2000,
       ...options
     };
     
@@ -22,6 +24,9 @@ class HumanSimulator {
     this.animationFrame = null;
     this.lastFrameTime = 0;
     
+    // All randomness comes from a seeded PRNG so a run can be replayed
+    this.setSeed(options.seed !== undefined ? options.seed : HumanSimulator.createSeed());
+    
     // Performance tracking
     this.performanceStats = {
       mouseMoves: 0,
@@ -119,46 +124,50 @@ class HumanSimulator {
     // Wait for element to be stable
     await this.waitForElementStability(element);
 
-    const rect = element.getBoundingClientRect();
-    const scrollX = window.pageXOffset || document.documentElement.scrollLeft;
-    const scrollY = window.pageYOffset || document.documentElement.scrollTop;
+    // Mouse positions are top-level viewport (client) coordinates; events
+    // for elements inside iframes are translated when dispatched
+    const rect = this.getViewportRect(element);
     
     // Smart target position calculation
     const targetPos = this.calculateOptimalTargetPosition(rect, options);
-    const targetX = rect.left + scrollX + targetPos.x;
-    const targetY = rect.top + scrollY + targetPos.y;
+    const targetX = rect.left + targetPos.x;
+    const targetY = rect.top + targetPos.y;
     
     return this.moveMouseTo({ x: targetX, y: targetY }, options);
   }
 
   validateElement(element) {
     if (!element || !element.getBoundingClientRect) return false;
-    if (!document.contains(element)) return false;
+    if (!element.isConnected) return false;
     
     const rect = element.getBoundingClientRect();
     if (rect.width <= 0 || rect.height <= 0) return false;
     
     // Check if element is visible
-    const style = window.getComputedStyle(element);
+    const style = this.getElementWindow(element).getComputedStyle(element);
     if (style.display === 'none' || style.visibility === 'hidden') return false;
     
     return true;
   }
 
+  // Resolves true once the element's box holds still for one frame, false if
+  // it is still moving (animating, reflowing) at the timeout
   async waitForElementStability(element, timeout = 1000) {
     const startTime = Date.now();
-    let lastRect = element.getBoundingClientRect();
+    let lastRect = this.getViewportRect(element);
     
     while (Date.now() - startTime < timeout) {
       await this.sleep(50);
-      const currentRect = element.getBoundingClientRect();
+      const currentRect = this.getViewportRect(element);
       
       if (this.areRectsEqual(lastRect, currentRect)) {
-        return; // Element is stable
+        return true; // Element is stable
       }
       
       lastRect = currentRect;
     }
+    
+    return false;
   }
 
   areRectsEqual(rect1, rect2, tolerance = 2) {
@@ -175,12 +184,12 @@ class HumanSimulator {
     
     switch (targetZone) {
       case 'center':
-        x = rect.width * (0.4 + Math.random() * 0.2);
-        y = rect.height * (0.4 + Math.random() * 0.2);
+        x = rect.width * (0.4 + this.random() * 0.2);
+        y = rect.height * (0.4 + this.random() * 0.2);
         break;
       case 'random':
-        x = rect.width * (avoidEdges ? 0.1 + Math.random() * 0.8 : Math.random());
-        y = rect.height * (avoidEdges ? 0.1 + Math.random() * 0.8 : Math.random());
+        x = rect.width * (avoidEdges ? 0.1 + this.random() * 0.8 : this.random());
+        y = rect.height * (avoidEdges ? 0.1 + this.random() * 0.8 : this.random());
         break;
       default:
         x = rect.width * 0.5;
@@ -275,7 +284,7 @@ class HumanSimulator {
   }
 
   getHumanVariation() {
-    return (Math.random() - 0.5) * 2 * this.options.humanness;
+    return (this.random() - 0.5) * 2 * this.options.humanness;
   }
 
   async animateMouseMovementOptimized(path, config) {
@@ -325,14 +334,19 @@ class HumanSimulator {
       const target = element || this.getElementAtPosition(x, y);
       if (!target) return;
       
-      const event = new MouseEvent(type, {
-        clientX: x,
-        clientY: y,
+      // Client coordinates are relative to the target's own frame
+      const view = this.getElementWindow(target);
+      const offset = this.getFrameOffset(target);
+      
+      const event = new view.MouseEvent(type, {
+        clientX: x - offset.x,
+        clientY: y - offset.y,
         screenX: x,
         screenY: y,
         bubbles: true,
         cancelable: true,
-        view: window
+        composed: true,
+        view
       });
       
       target.dispatchEvent(event);
@@ -345,7 +359,7 @@ class HumanSimulator {
 
   getElementAtPosition(x, y) {
     // Use elementFromPoint with fallback
-    const element = document.elementFromPoint(x, y);
+    const element = this.getDeepElementFromPoint(x, y);
     return element || document.body;
   }
 
@@ -366,28 +380,42 @@ class HumanSimulator {
    */
   
   async humanClick(element, options = {}) {
-    if (!this.validateElement(element)) {
-      throw new Error('Element is not clickable');
-    }
-
     const config = {
       button: options.button || 'left',
       doubleClick: options.doubleClick || false,
       moveToElement: options.moveToElement !== false,
+      checkActionability: this.options.checkActionability,
       pressDelay: options.pressDelay || this.calculateClickDelay(),
       preClickDelay: options.preClickDelay || this.randomBetween(50, 200),
       ...options
     };
 
+    if (config.checkActionability) {
+      await this.ensureActionable(element);
+    } else if (!this.validateElement(element)) {
+      throw new Error('Element is not clickable');
+    }
+
     // Move to element if requested
     if (config.moveToElement) {
       await this.moveMouseToElement(element, { targetZone: 'center' });
       await this.sleep(config.preClickDelay);
+      
+      // The exact point may differ from the center checked above
+      if (config.checkActionability) {
+        const failure = this.checkReceivesEvents(element, this.mousePosition);
+        if (failure) throw this.createActionabilityError(element, failure);
+      }
     }
 
     // Pre-click hover effects
     await this.simulateHoverSequence(element);
 
+    // Lets callers tell what the click caused from what the approach caused
+    if (config.beforeClick) {
+      config.beforeClick();
+    }
+
     // Perform click
     if (config.doubleClick) {
       await this.performDoubleClickSequence(element, config);
@@ -406,7 +434,7 @@ class HumanSimulator {
 
   calculateClickDelay() {
     // Human-like click duration based on context
-    const baseDelay = 80 + Math.random() * 120;
+    const baseDelay = 80 + this.random() * 120;
     const humannessFactor = 1 + (this.options.humanness * 0.5);
     return Math.floor(baseDelay * humannessFactor);
   }
@@ -447,7 +475,7 @@ class HumanSimulator {
     try {
       if (element.focus && typeof element.focus === 'function') {
         // Check if element can be focused
-        const style = window.getComputedStyle(element);
+        const style = this.getElementWindow(element).getComputedStyle(element);
         if (style.pointerEvents !== 'none' && !element.disabled) {
           element.focus();
         }
@@ -457,6 +485,114 @@ class HumanSimulator {
     }
   }
 
+  /**
+   * ACTIONABILITY
+   */
+  
+  // Playwright-style checks before acting: attached, visible, stable, enabled
+  // (and editable for typing), and actually hit at its center rather than
+  // covered by a modal or sticky header. Transient failures are retried until
+  // the timeout; the error names the check that was still failing.
+  async ensureActionable(element, options = {}) {
+    const timeout = options.timeout || this.options.actionabilityTimeout;
+    const startTime = Date.now();
+    let failure;
+    
+    do {
+      failure = await this.checkActionability(element, options);
+      if (!failure) return true;
+      
+      // A detached element will not come back
+      if (failure.check === 'attached') break;
+      
+      await this.sleep(100);
+    } while (Date.now() - startTime < timeout);
+    
+    throw this.createActionabilityError(element, failure);
+  }
+  
+  async checkActionability(element, options = {}) {
+    if (!element || !element.isConnected) {
+      return { check: 'attached', reason: 'element is no longer in the document' };
+    }
+    
+    if (!this.isElementVisible(element)) {
+      return { check: 'visible', reason: 'element has no size or is hidden by CSS' };
+    }
+    
+    if (!(await this.waitForElementStability(element, 500))) {
+      return { check: 'stable', reason: 'element is still moving' };
+    }
+    
+    if (this.isElementDisabled(element)) {
+      return { check: 'enabled', reason: 'element is disabled' };
+    }
+    
+    if (options.editable && (element.readOnly || !this.isElementTypeable(element))) {
+      return { check: 'editable', reason: element.readOnly ? 'element is read-only' : 'element does not accept text input' };
+    }
+    
+    const rect = this.getViewportRect(element);
+    return this.checkReceivesEvents(element, {
+      x: rect.left + rect.width / 2,
+      y: rect.top + rect.height / 2
+    });
+  }
+  
+  // Extends PageDetector.isElementVisible without its in-viewport rule, since
+  // callers scroll the element into view themselves
+  isElementVisible(element) {
+    const rect = element.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return false;
+    
+    if (element.checkVisibility) {
+      return element.checkVisibility({ checkOpacity: true, checkVisibilityCSS: true });
+    }
+    
+    const style = this.getElementWindow(element).getComputedStyle(element);
+    return style.display !== 'none' && style.visibility !== 'hidden' && style.opacity !== '0';
+  }
+  
+  isElementDisabled(element) {
+    if (element.disabled) return true;
+    if (element.closest('[aria-disabled="true"]')) return true;
+    
+    // Controls inside a disabled fieldset are disabled, except in its first legend
+    const fieldset = element.closest('fieldset[disabled]');
+    return !!fieldset && !fieldset.querySelector(':scope > legend')?.contains(element);
+  }
+  
+  // The top-most element at point must be the target or inside it
+  checkReceivesEvents(element, point) {
+    if (point.x < 0 || point.y < 0 || point.x >= window.innerWidth || point.y >= window.innerHeight) {
+      return { check: 'receivesEvents', reason: `click point (${Math.round(point.x)}, ${Math.round(point.y)}) is outside the viewport` };
+    }
+    
+    const hit = this.getDeepElementFromPoint(point.x, point.y);
+    if (hit && this.containsDeep(element, hit)) return null;
+    
+    return {
+      check: 'receivesEvents',
+      reason: hit ?
+        `${this.describeElement(hit)} would receive the click at (${Math.round(point.x)}, ${Math.round(point.y)})` :
+        'nothing is hit at the click point'
+    };
+  }
+  
+  createActionabilityError(element, failure) {
+    const error = new Error(`${this.describeElement(element)} is not actionable (${failure.check}): ${failure.reason}`);
+    error.actionability = failure.check;
+    return error;
+  }
+  
+  describeElement(element) {
+    if (!element || !element.tagName) return 'element';
+    
+    const id = element.id ? `#${element.id}` : '';
+    const classes = Array.from(element.classList || []).slice(0, 2).map(name => `.${name}`).join('');
+    return `<${element.tagName.toLowerCase()}${id}${classes}>`;
+  }
+
   /**
    * ENHANCED TYPING
    */
@@ -467,6 +603,7 @@ class HumanSimulator {
     }
 
     const config = {
+      checkActionability: this.options.checkActionability,
       clearFirst: options.clearFirst !== false,
       triggerEvents: options.triggerEvents !== false,
       mistakeRate: Math.min(0.1, options.mistakeRate || 0.02 * this.options.humanness),
@@ -475,6 +612,10 @@ class HumanSimulator {
       ...options
     };
 
+    if (config.checkActionability) {
+      await this.ensureActionable(element, { editable: true });
+    }
+
     // Ensure element is focused and ready
     await this.prepareElementForTyping(element, config);
 
@@ -502,8 +643,8 @@ class HumanSimulator {
   }
 
   async prepareElementForTyping(element, config) {
-    // Click to focus
-    await this.humanClick(element, { moveToElement: false });
+    // Click to focus; actionability was already checked by humanType
+    await this.humanClick(element, { moveToElement: false, checkActionability: false });
     
     // Wait for focus
     await this.sleep(50);
@@ -589,7 +730,7 @@ class HumanSimulator {
         const char = word[charIndex];
         
         // Simulate typing mistakes occasionally
-        if (config.mistakeRate > 0 && Math.random() < config.mistakeRate) {
+        if (config.mistakeRate > 0 && this.random() < config.mistakeRate) {
           await this.simulateTypingMistakeSequence(element, char);
         } else {
           await this.typeCharacterNaturally(element, char);
@@ -632,11 +773,11 @@ class HumanSimulator {
     try {
       if (element.contentEditable === 'true') {
         // Handle contentEditable elements
-        const selection = window.getSelection();
+        const selection = this.getElementWindow(element).getSelection();
         if (selection.rangeCount > 0) {
           const range = selection.getRangeAt(0);
           range.deleteContents();
-          range.insertNode(document.createTextNode(char));
+          range.insertNode(element.ownerDocument.createTextNode(char));
           range.collapse(false);
         } else {
           element.textContent += char;
@@ -679,7 +820,7 @@ class HumanSimulator {
 
   calculateWordDelay(config) {
     const baseDelay = this.randomBetween(150, 300);
-    const thinkingDelay = Math.random() < 0.1 ? this.randomBetween(300, 800) : 0;
+    const thinkingDelay = this.random() < 0.1 ? this.randomBetween(300, 800) : 0;
     return baseDelay + thinkingDelay;
   }
 
@@ -717,7 +858,7 @@ class HumanSimulator {
     
     try {
       if (element.contentEditable === 'true') {
-        const selection = window.getSelection();
+        const selection = this.getElementWindow(element).getSelection();
         if (selection.rangeCount > 0) {
           const range = selection.getRangeAt(0);
           if (range.collapsed) {
@@ -761,7 +902,7 @@ class HumanSimulator {
         await this.simulateBackspace(element);
         
         // Occasional pause during clearing
-        if (i % 10 === 0 && Math.random() < 0.3) {
+        if (i % 10 === 0 && this.random() < 0.3) {
           await this.sleep(this.randomBetween(50, 150));
         }
       }
@@ -773,7 +914,7 @@ class HumanSimulator {
 
   // Enhanced simulateKeyPress method
   async simulateKeyPress(key, element = null) {
-    const target = element || document.activeElement || document.body;
+    const target = element || this.getDeepActiveElement() || document.body;
     
     this.dispatchKeyboardEventSafe(target, 'keydown', key);
     await this.sleep(this.randomBetween(50, 100));
@@ -801,7 +942,7 @@ class HumanSimulator {
 
   async handleTabKeyPress(element) {
     // Focus next focusable element
-    const focusableElements = this.getFocusableElements();
+    const focusableElements = this.getFocusableElements(element.getRootNode());
     const currentIndex = focusableElements.indexOf(element);
     
     if (currentIndex >= 0 && currentIndex < focusableElements.length - 1) {
@@ -814,9 +955,9 @@ class HumanSimulator {
     }
   }
 
-  getFocusableElements() {
+  getFocusableElements(root = document) {
     const selector = 'input:not([disabled]), select:not([disabled]), textarea:not([disabled]), button:not([disabled]), [tabindex]:not([tabindex="-1"])';
-    return Array.from(document.querySelectorAll(selector));
+    return Array.from(root.querySelectorAll(selector));
   }
 
   /**
@@ -886,7 +1027,7 @@ class HumanSimulator {
       const actualStepSize = stepSize * momentum * direction;
       
       // Add natural variation
-      const variation = (Math.random() - 0.5) * stepSize * 0.1;
+      const variation = (this.random() - 0.5) * stepSize * 0.1;
       const finalStepSize = actualStepSize + variation;
       
       // Perform scroll
@@ -901,7 +1042,7 @@ class HumanSimulator {
       (element === window ? document : element).dispatchEvent(scrollEvent);
       
       // Natural delay with variation
-      const delay = baseDelay + (Math.random() - 0.5) * baseDelay * 0.3;
+      const delay = baseDelay + (this.random() - 0.5) * baseDelay * 0.3;
       await this.sleep(Math.max(16, delay)); // Minimum 60fps
     }
   }
@@ -916,6 +1057,14 @@ class HumanSimulator {
       throw new Error('Invalid element for scrolling');
     }
 
+    // Bring the frame into view first, then the element within the frame
+    const frame = this.getElementWindow(element).frameElement;
+    if (frame && this.getElementWindow(element) !== window) {
+      await this.scrollToElement(frame, options);
+      element.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+      return;
+    }
+
     const rect = element.getBoundingClientRect();
     const elementTop = rect.top + window.pageYOffset;
     const viewportHeight = window.innerHeight;
@@ -947,6 +1096,116 @@ class HumanSimulator {
     }
   }
 
+  /**
+   * FRAMES AND SHADOW ROOTS
+   */
+  
+  getElementWindow(element) {
+    return (element.ownerDocument && element.ownerDocument.defaultView) || window;
+  }
+
+  // Top-left of the element's frame content in top-level viewport coordinates
+  getFrameOffset(element) {
+    const offset = { x: 0, y: 0 };
+    let view = this.getElementWindow(element);
+    
+    while (view !== window && view.frameElement) {
+      const frame = view.frameElement;
+      const rect = frame.getBoundingClientRect();
+      const style = this.getElementWindow(frame).getComputedStyle(frame);
+      
+      offset.x += rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+      offset.y += rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+      view = this.getElementWindow(frame);
+    }
+    
+    return offset;
+  }
+
+  getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    const offset = this.getFrameOffset(element);
+    
+    return {
+      left: rect.left + offset.x,
+      top: rect.top + offset.y,
+      right: rect.right + offset.x,
+      bottom: rect.bottom + offset.y,
+      width: rect.width,
+      height: rect.height
+    };
+  }
+
+  // elementFromPoint stops at shadow hosts and iframes; keep descending into
+  // open shadow roots and same-origin frame documents
+  getDeepElementFromPoint(x, y) {
+    let hit = document.elementFromPoint(x, y);
+    
+    while (hit) {
+      if (hit.shadowRoot) {
+        const inner = hit.shadowRoot.elementFromPoint(x, y);
+        if (!inner || inner === hit) break;
+        hit = inner;
+        continue;
+      }
+      
+      if (hit.tagName === 'IFRAME' || hit.tagName === 'FRAME') {
+        let frameDocument = null;
+        try {
+          frameDocument = hit.contentDocument;
+        } catch (error) {
+          // Cross-origin frame
+        }
+        if (!frameDocument) break;
+        
+        const rect = hit.getBoundingClientRect();
+        const style = this.getElementWindow(hit).getComputedStyle(hit);
+        x -= rect.left + hit.clientLeft + (parseFloat(style.paddingLeft) || 0);
+        y -= rect.top + hit.clientTop + (parseFloat(style.paddingTop) || 0);
+        
+        const inner = frameDocument.elementFromPoint(x, y);
+        if (!inner) break;
+        hit = inner;
+        continue;
+      }
+      
+      break;
+    }
+    
+    return hit;
+  }
+
+  // contains() across shadow root and frame boundaries
+  containsDeep(element, node) {
+    while (node) {
+      if (node === element) return true;
+      node = node.parentNode || node.host || (node.defaultView && node.defaultView.frameElement) || null;
+    }
+    return false;
+  }
+
+  getDeepActiveElement() {
+    let active = document.activeElement;
+    
+    while (active) {
+      let inner = null;
+      if (active.shadowRoot) {
+        inner = active.shadowRoot.activeElement;
+      } else if (active.tagName === 'IFRAME' || active.tagName === 'FRAME') {
+        try {
+          inner = active.contentDocument && active.contentDocument.activeElement;
+        } catch (error) {
+          // Cross-origin frame
+        }
+      }
+      
+      if (!inner || inner === active) break;
+      active = inner;
+    }
+    
+    return active;
+  }
+
   /**
    * UTILITY METHODS - ENHANCED
    */
@@ -971,7 +1230,7 @@ class HumanSimulator {
     
     // Adaptive curviness based on distance and humanness
     const curviness = Math.min(distance * 0.25, 100) * this.options.humanness;
-    const angle = Math.random() * Math.PI * 2;
+    const angle = this.random() * Math.PI * 2;
     
     const control1 = {
       x: midX + Math.cos(angle) * curviness,
@@ -1062,17 +1321,19 @@ class HumanSimulator {
     }
     
     return adjacent.length > 0 ? 
-      adjacent[Math.floor(Math.random() * adjacent.length)] : 
+      adjacent[Math.floor(this.random() * adjacent.length)] : 
       correctChar;
   }
 
   dispatchKeyboardEventSafe(element, type, key = '') {
     try {
-      const event = new KeyboardEvent(type, {
+      const view = this.getElementWindow(element);
+      const event = new view.KeyboardEvent(type, {
         key: key,
         code: key ? `Key${key.toUpperCase()}` : '',
         bubbles: true,
-        cancelable: true
+        cancelable: true,
+        composed: true
       });
       
       element.dispatchEvent(event);
@@ -1084,7 +1345,51 @@ class HumanSimulator {
   }
 
   randomBetween(min, max) {
-    return Math.floor(Math.random() * (max - min + 1)) + min;
+    return Math.floor(this.random() * (max - min + 1)) + min;
+  }
+
+  /**
+   * SEEDED RANDOMNESS
+   */
+  
+  // Seeds are unsigned 32-bit integers so they survive JSON and fit in a report
+  static createSeed() {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+
+  static isValidSeed(seed) {
+    return Number.isInteger(seed) && seed >= 0 && seed <= 0xFFFFFFFF;
+  }
+
+  setSeed(seed) {
+    if (!HumanSimulator.isValidSeed(seed)) {
+      throw new Error(`Invalid seed '${seed}': expected an integer from 0 to 4294967295`);
+    }
+    
+    this.seed = seed;
+    this.randomState = seed;
+  }
+
+  // mulberry32: small, fast and good enough for timing and path jitter
+  random() {
+    this.randomState = (this.randomState + 0x6D2B79F5) >>> 0;
+    let t = this.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // The generator position, for continuing a sequence after a page load
+  getRandomState() {
+    return this.randomState;
+  }
+
+  setRandomState(state) {
+    if (!HumanSimulator.isValidSeed(state)) {
+      throw new Error(`Invalid random state '${state}'`);
+    }
+    
+    this.randomState = state;
   }
 
   sleep(ms) {
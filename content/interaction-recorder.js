@@ -0,0 +1,384 @@
+/**
+ * Interaction Recorder
+ * Captures real clicks, typing and scrolling and turns them into scenario steps
+ */
+
+class InteractionRecorder {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      scrollDebounce: options.scrollDebounce || 400,
+      minScrollDistance: options.minScrollDistance || 50,
+      ...options
+    };
+    
+    this.pageDetector = options.pageDetector || null;
+    this.onStep = options.onStep || (() => {});
+    
+    this.isRecording = false;
+    this.listeners = [];
+    this.pendingType = null;
+    this.scrollTimer = null;
+    this.scrollOrigin = 0;
+    this.stepCount = 0;
+  }
+  
+  /**
+   * RECORDING CONTROL
+   */
+  
+  start() {
+    if (this.isRecording) return;
+    
+    this.isRecording = true;
+    this.scrollOrigin = window.pageYOffset;
+    
+    // Capture phase so page handlers that stop propagation do not hide events
+    this.listen(document, 'click', (e) => this.handleClickEvent(e), true);
+    this.listen(document, 'input', (e) => this.handleInputEvent(e), true);
+    this.listen(document, 'change', (e) => this.handleChangeEvent(e), true);
+    this.listen(document, 'keydown', (e) => this.handleKeydownEvent(e), true);
+    this.listen(window, 'scroll', () => this.handleScrollEvent(), { passive: true });
+    this.listen(window, 'pagehide', () => this.flush());
+    
+    this.logDebug('Recording started');
+  }
+  
+  async stop() {
+    if (!this.isRecording) return;
+    
+    await this.flush();
+    
+    this.listeners.forEach(({ target, type, handler, options }) => {
+      target.removeEventListener(type, handler, options);
+    });
+    this.listeners = [];
+    this.isRecording = false;
+    
+    this.logDebug(`Recording stopped after ${this.stepCount} steps`);
+  }
+  
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push({ target, type, handler, options });
+  }
+  
+  // Emits anything still buffered (typing, scrolling)
+  async flush() {
+    await this.flushScroll();
+    await this.flushType();
+  }
+  
+  /**
+   * EVENT HANDLERS
+   */
+  
+  async handleClickEvent(event) {
+    // Ignore synthetic events, including the ones the runner dispatches
+    if (!event.isTrusted) return;
+    
+    const element = this.getActionableElement(event.target);
+    if (!element) return;
+    
+    // Focusing a text field is implied by the type step that follows
+    if (this.isTextField(element)) return;
+    
+    if (element.tagName.toLowerCase() === 'select') {
+      this.logWarn('Select elements are not supported yet, skipping');
+      return;
+    }
+    
+    await this.flush();
+    
+    await this.emit({
+      type: 'click',
+      name: `Click ${this.describeElement(element)}`,
+      ...this.describeTarget(element)
+    });
+  }
+  
+  handleInputEvent(event) {
+    if (!event.isTrusted) return;
+    
+    const element = event.target;
+    if (!this.isTextField(element)) return;
+    
+    if (element.type === 'password') {
+      this.logWarn('Password fields are not recorded');
+      return;
+    }
+    
+    if (this.pendingType && this.pendingType.element !== element) {
+      this.flushType();
+    }
+    
+    this.pendingType = {
+      element,
+      value: element.isContentEditable ? element.textContent : element.value,
+      pressEnter: false
+    };
+  }
+  
+  handleChangeEvent(event) {
+    if (!event.isTrusted) return;
+    
+    if (this.pendingType && this.pendingType.element === event.target) {
+      this.flushType();
+    }
+  }
+  
+  handleKeydownEvent(event) {
+    if (!event.isTrusted || event.key !== 'Enter') return;
+    
+    if (this.pendingType && this.pendingType.element === event.target) {
+      this.pendingType.pressEnter = true;
+      this.flushType();
+    }
+  }
+  
+  handleScrollEvent() {
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = setTimeout(() => this.flushScroll(), this.options.scrollDebounce);
+  }
+  
+  async flushType() {
+    const pending = this.pendingType;
+    if (!pending) return;
+    
+    this.pendingType = null;
+    
+    const step = {
+      type: 'type',
+      name: `Type into ${this.describeElement(pending.element)}`,
+      ...this.describeTarget(pending.element),
+      text: pending.value || ''
+    };
+    
+    if (pending.pressEnter) {
+      step.pressEnter = true;
+    }
+    
+    await this.emit(step);
+  }
+  
+  async flushScroll() {
+    clearTimeout(this.scrollTimer);
+    this.scrollTimer = null;
+    
+    const current = window.pageYOffset;
+    const delta = current - this.scrollOrigin;
+    this.scrollOrigin = current;
+    
+    if (Math.abs(delta) < this.options.minScrollDistance) return;
+    
+    await this.emit({
+      type: 'scroll',
+      name: `Scroll ${delta > 0 ? 'down' : 'up'}`,
+      direction: delta > 0 ? 'down' : 'up',
+      distance: Math.round(Math.abs(delta))
+    });
+  }
+  
+  async emit(step) {
+    this.stepCount++;
+    this.logDebug('Recorded step:', step);
+    
+    try {
+      await this.onStep({ ...step, timestamp: Date.now() });
+    } catch (error) {
+      this.logWarn(`Failed to deliver recorded step: ${error.message}`);
+    }
+  }
+  
+  /**
+   * TARGET DESCRIPTION
+   */
+  
+  getActionableElement(target) {
+    if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+    
+    return target.closest(
+      'a, button, input, select, textarea, label, summary, [role="button"], [role="link"], [onclick], [tabindex]'
+    ) || target;
+  }
+  
+  isTextField(element) {
+    if (!element || !element.tagName) return false;
+    
+    const tagName = element.tagName.toLowerCase();
+    if (tagName === 'textarea' || element.isContentEditable) return true;
+    
+    // Same input types HumanSimulator can type into
+    const textTypes = ['text', 'email', 'password', 'search', 'url', 'tel'];
+    return tagName === 'input' && textTypes.includes(element.type || 'text');
+  }
+  
+  // elementName when the page map resolves to this element, plus a generated
+  // selector as the replay fallback
+  describeTarget(element) {
+    const target = { selector: this.generateSelector(element) };
+    const mapped = this.findElementName(element);
+    
+    if (mapped) {
+      target.elementName = mapped.elementName;
+      target.pageType = mapped.pageType;
+    }
+    
+    return target;
+  }
+  
+  findElementName(element) {
+    if (!this.pageDetector) return null;
+    
+    const elementMaps = this.pageDetector.elementMaps || {};
+    const currentType = this.pageDetector.currentPage?.type;
+    
+    // Current page type first, then every other map (e.g. header search bar)
+    const pageTypes = Object.keys(elementMaps).sort((a, b) =>
+      (b === currentType) - (a === currentType)
+    );
+    
+    for (const pageType of pageTypes) {
+      for (const [elementName, selectors] of Object.entries(elementMaps[pageType])) {
+        const match = this.resolveLikeRunner(selectors);
+        if (!match) continue;
+        
+        // The runner acts on the first visible match, so only map the name when
+        // that match is this element or an interactive wrapper around it
+        if (match === element ||
+            (match.contains(element) && this.pageDetector.isElementInteractive(match))) {
+          return { elementName, pageType };
+        }
+      }
+    }
+    
+    return null;
+  }
+  
+  resolveLikeRunner(selectors) {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    
+    for (const selector of selectorArray) {
+      try {
+        for (const candidate of this.pageDetector.queryAll(selector)) {
+          if (this.pageDetector.isElementVisible(candidate)) {
+            return candidate;
+          }
+        }
+      } catch (error) {
+        // Invalid selector, continue
+      }
+    }
+    
+    return null;
+  }
+  
+  generateSelector(element) {
+    const escape = (value) => CSS.escape(value);
+    
+    // Stable attributes first
+    if (element.id && !/\d{3,}|[:.]/.test(element.id)) {
+      const selector = `#${escape(element.id)}`;
+      if (this.isUnique(selector)) return selector;
+    }
+    
+    const tagName = element.tagName.toLowerCase();
+    for (const attr of ['data-testid', 'data-test', 'name', 'aria-label', 'placeholder']) {
+      const value = element.getAttribute(attr);
+      if (value) {
+        const selector = `${tagName}[${attr}="${value.replace(/"/g, '\\"')}"]`;
+        if (this.isUnique(selector)) return selector;
+      }
+    }
+    
+    // Fall back to a structural path, stopping as soon as it is unique
+    const parts = [];
+    let current = element;
+    
+    while (current && current.nodeType === Node.ELEMENT_NODE && current !== document.body) {
+      let part = current.tagName.toLowerCase();
+      
+      const classes = Array.from(current.classList)
+        .filter(name => !/\d{3,}|^(?:is|has)-|active|hover|focus|selected/.test(name))
+        .slice(0, 2);
+      if (classes.length > 0) {
+        part += classes.map(name => `.${escape(name)}`).join('');
+      }
+      
+      const parent = current.parentElement;
+      if (parent) {
+        const siblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+        if (siblings.length > 1) {
+          part += `:nth-of-type(${siblings.indexOf(current) + 1})`;
+        }
+      }
+      
+      parts.unshift(part);
+      
+      const selector = parts.join(' > ');
+      if (this.isUnique(selector)) return selector;
+      
+      if (current.id && !/\d{3,}|[:.]/.test(current.id)) {
+        const anchored = `#${escape(current.id)} > ${parts.slice(1).join(' > ')}`;
+        if (parts.length > 1 && this.isUnique(anchored)) return anchored;
+      }
+      
+      current = parent;
+    }
+    
+    return parts.join(' > ');
+  }
+  
+  isUnique(selector) {
+    try {
+      return document.querySelectorAll(selector).length === 1;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  describeElement(element) {
+    const text = (element.getAttribute('aria-label') ||
+                  element.textContent ||
+                  element.getAttribute('placeholder') ||
+                  element.getAttribute('name') || '').trim().replace(/\s+/g, ' ');
+    
+    const label = text.length > 30 ? text.substring(0, 30) + '…' : text;
+    return label ? `"${label}"` : element.tagName.toLowerCase();
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  getStatus() {
+    return {
+      isRecording: this.isRecording,
+      stepCount: this.stepCount
+    };
+  }
+  
+  logDebug(message, data = null) {
+    if (this.options.debug) {
+      console.log(`[Recorder] ${message}`, data);
+    }
+  }
+  
+  logWarn(message) {
+    console.warn(`[Recorder] ${message}`);
+  }
+  
+  destroy() {
+    this.stop();
+    this.onStep = () => {};
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InteractionRecorder;
+} else if (typeof window !== 'undefined') {
+  window.InteractionRecorder = InteractionRecorder;
+}
+
+console.log('[Recorder] Interaction recorder loaded successfully');
@@ -0,0 +1,359 @@
+/**
+ * Locator Engine
+ * Resolves element locators for PageDetector and the runner. A locator is
+ * either a CSS selector string or an object describing what the user sees:
+ *
+ *   { role: 'button', name: 'Add to Cart' }   role + accessible name
+ *   { text: 'Checkout' }                      visible text
+ *   { label: 'Quantity' }                     form control by its label
+ *   { placeholder: 'Search' }                 input by placeholder
+ *   { testId: 'add-to-cart' }                 data-testid attribute
+ *
+ * Text matching is case-insensitive substring matching with whitespace
+ * collapsed; add exact: true for a case-sensitive full match.
+ *
+ * Open shadow roots and same-origin iframes are reached in two ways:
+ *
+ *   'fitment-widget >>> select.year'   descend from each host (or iframe)
+ *                                      into its shadow root (or document)
+ *   '>>> .review-rating'               search every shadow root and frame
+ *   { text: 'Pay now', pierce: true }  same, for a semantic locator
+ */
+
+class LocatorEngine {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      testIdAttribute: options.testIdAttribute || 'data-testid',
+      ...options
+    };
+    
+    this.kinds = ['role', 'text', 'label', 'placeholder', 'testId'];
+    this.implicitRoles = this.initImplicitRoles();
+  }
+  
+  /**
+   * ROLE MAP
+   */
+  
+  // Elements that carry a role without a role attribute
+  initImplicitRoles() {
+    return {
+      button: 'button, input[type="button"], input[type="submit"], input[type="reset"], input[type="image"], summary',
+      link: 'a[href], area[href]',
+      textbox: 'input:not([type]), input[type="text"], input[type="email"], input[type="tel"], input[type="url"], textarea',
+      searchbox: 'input[type="search"]',
+      checkbox: 'input[type="checkbox"]',
+      radio: 'input[type="radio"]',
+      combobox: 'select:not([multiple]), input[list]',
+      listbox: 'select[multiple]',
+      option: 'option',
+      spinbutton: 'input[type="number"]',
+      slider: 'input[type="range"]',
+      heading: 'h1, h2, h3, h4, h5, h6',
+      img: 'img[alt]:not([alt=""])',
+      list: 'ul, ol',
+      listitem: 'li',
+      navigation: 'nav',
+      main: 'main',
+      form: 'form',
+      dialog: 'dialog',
+      table: 'table',
+      row: 'tr',
+      cell: 'td'
+    };
+  }
+  
+  /**
+   * QUERYING
+   */
+  
+  isLocator(value) {
+    if (typeof value === 'string') return value.trim().length > 0;
+    return this.getKind(value) !== null;
+  }
+  
+  getKind(locator) {
+    if (typeof locator === 'string') return 'css';
+    if (!locator || typeof locator !== 'object' || Array.isArray(locator)) return null;
+    
+    const kinds = this.kinds.filter(kind => locator[kind] !== undefined);
+    return kinds.length === 1 ? kinds[0] : null;
+  }
+  
+  // Every element under root the locator matches, in document order
+  queryAll(locator, root = document) {
+    if (locator && locator.pierce) {
+      const { pierce, ...flat } = locator;
+      return this.getSearchRoots(root).flatMap(searchRoot => this.queryAll(flat, searchRoot));
+    }
+    
+    switch (this.getKind(locator)) {
+      case 'css':
+        return locator.includes('>>>') ?
+          this.queryPiercing(locator, root) :
+          Array.from(root.querySelectorAll(locator));
+      case 'role':
+        return this.queryByRole(locator, root);
+      case 'text':
+        return this.queryByText(locator, root);
+      case 'label':
+        return this.queryByLabel(locator, root);
+      case 'placeholder':
+        return Array.from(root.querySelectorAll('[placeholder]'))
+          .filter(element => this.matchesText(element.getAttribute('placeholder'), locator.placeholder, locator.exact));
+      case 'testId':
+        return Array.from(root.querySelectorAll(`[${this.options.testIdAttribute}="${CSS.escape(locator.testId)}"]`));
+      default:
+        throw new Error(`Invalid locator: ${this.describe(locator)}`);
+    }
+  }
+  
+  // Each >>> step continues inside the shadow root or frame document of the
+  // previous matches; a leading >>> starts from every reachable root
+  queryPiercing(selector, root) {
+    const segments = selector.split('>>>').map(segment => segment.trim());
+    let roots = [root];
+    
+    if (segments[0] === '') {
+      segments.shift();
+      roots = this.getSearchRoots(root);
+    }
+    
+    let matches = [];
+    segments.forEach((segment, index) => {
+      if (!segment) throw new Error(`Invalid locator: ${selector}`);
+      
+      matches = roots.flatMap(searchRoot => Array.from(searchRoot.querySelectorAll(segment)));
+      // Hosts without a shadow root or document behave like a descendant combinator
+      roots = index < segments.length - 1 ? matches.map(element => this.getInnerRoot(element) || element) : roots;
+    });
+    
+    return [...new Set(matches)];
+  }
+  
+  queryByRole(locator, root) {
+    const role = locator.role;
+    const implicit = this.implicitRoles[role];
+    const selector = `[role="${CSS.escape(role)}"]${implicit ? `, ${implicit}` : ''}`;
+    
+    return Array.from(root.querySelectorAll(selector)).filter(element => {
+      // An explicit role overrides the implicit one
+      const explicit = element.getAttribute('role');
+      if (explicit && explicit.split(/\s+/)[0] !== role) return false;
+      
+      return locator.name === undefined ||
+             this.matchesText(this.getAccessibleName(element), locator.name, locator.exact);
+    });
+  }
+  
+  // Innermost elements whose text matches, so "Checkout" finds the button,
+  // not every ancestor up to <body>. This runs on every waitForElement poll,
+  // so it only descends into children whose text contains the wanted text
+  // instead of reading the text of every element on the page.
+  queryByText(locator, root) {
+    const skip = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD']);
+    const containsText = (element) => !skip.has(element.tagName) &&
+      this.matchesText(element.textContent, locator.text);
+    
+    // Depth-first in document order; every ancestor of a match contains its text
+    const matches = [];
+    const pending = this.getChildElements(root).filter(containsText).reverse();
+    
+    while (pending.length > 0) {
+      const element = pending.pop();
+      const inner = this.getChildElements(element).filter(containsText);
+      pending.push(...inner.reverse());
+      
+      if (locator.exact ? this.matchesText(element.textContent, locator.text, true) : inner.length === 0) {
+        matches.push(element);
+      }
+    }
+    
+    // Exact matches can be nested wrappers with the same text
+    const innermost = locator.exact ?
+      matches.filter(element => !matches.some(other => other !== element && element.contains(other))) :
+      matches;
+    
+    // Button-like inputs show their value instead of text content
+    const buttons = Array.from(root.querySelectorAll('input[type="button"], input[type="submit"], input[type="reset"]'))
+      .filter(input => this.matchesText(input.value, locator.text, locator.exact));
+    if (buttons.length === 0) return innermost;
+    
+    return [...innermost.filter(element => !buttons.some(button => element.contains(button))), ...buttons]
+      .sort((a, b) => a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+  }
+  
+  // Sibling links rather than the live children collection, which some DOM
+  // implementations index in linear time
+  getChildElements(parent) {
+    const children = [];
+    for (let child = parent.firstElementChild; child; child = child.nextElementSibling) {
+      children.push(child);
+    }
+    return children;
+  }
+  
+  queryByLabel(locator, root) {
+    const controls = root.querySelectorAll(
+      'input:not([type="hidden"]), select, textarea, [contenteditable="true"], [role="textbox"], [role="combobox"], [role="spinbutton"]'
+    );
+    
+    return Array.from(controls).filter(element =>
+      this.getLabelTexts(element).some(text => this.matchesText(text, locator.label, locator.exact))
+    );
+  }
+  
+  /**
+   * SHADOW ROOTS AND FRAMES
+   */
+  
+  // root plus every open shadow root and same-origin frame document below it
+  getSearchRoots(root = document) {
+    const roots = [root];
+    
+    for (let i = 0; i < roots.length; i++) {
+      for (const element of roots[i].querySelectorAll('*')) {
+        const inner = this.getInnerRoot(element);
+        if (inner) roots.push(inner);
+      }
+    }
+    
+    return roots;
+  }
+  
+  getInnerRoot(element) {
+    if (element.shadowRoot) return element.shadowRoot;
+    
+    if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+      try {
+        // null (or a throw) for cross-origin frames
+        return element.contentDocument || null;
+      } catch (error) {
+        return null;
+      }
+    }
+    
+    return null;
+  }
+  
+  // getBoundingClientRect in top-level viewport coordinates; rects inside an
+  // iframe are relative to that frame's own viewport
+  getViewportRect(element) {
+    const rect = element.getBoundingClientRect();
+    let left = rect.left;
+    let top = rect.top;
+    
+    let view = element.ownerDocument.defaultView;
+    while (view && view.frameElement) {
+      const frame = view.frameElement;
+      const frameRect = frame.getBoundingClientRect();
+      const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+      
+      left += frameRect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0);
+      top += frameRect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0);
+      view = frame.ownerDocument.defaultView;
+    }
+    
+    return { left, top, right: left + rect.width, bottom: top + rect.height, width: rect.width, height: rect.height };
+  }
+  
+  /**
+   * ACCESSIBLE NAMES
+   */
+  
+  // Simplified accessible name computation: aria-labelledby, aria-label,
+  // labels, alt/value/title, then text content
+  getAccessibleName(element) {
+    const labelledBy = this.getLabelledByText(element);
+    if (labelledBy) return labelledBy;
+    
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel && ariaLabel.trim()) return ariaLabel;
+    
+    const tagName = element.tagName.toLowerCase();
+    
+    if (['input', 'select', 'textarea'].includes(tagName)) {
+      if (['button', 'submit', 'reset'].includes(element.type)) {
+        return element.value || (element.type === 'submit' ? 'Submit' : '');
+      }
+      if (element.type === 'image') return element.alt || element.title || '';
+      
+      const labels = Array.from(element.labels || []).map(label => label.textContent);
+      if (labels.length > 0) return labels.join(' ');
+      
+      return element.title || element.placeholder || '';
+    }
+    
+    if (tagName === 'img') return element.alt || element.title || '';
+    
+    return element.textContent || element.title || '';
+  }
+  
+  getLabelTexts(element) {
+    const texts = Array.from(element.labels || []).map(label => label.textContent);
+    
+    const labelledBy = this.getLabelledByText(element);
+    if (labelledBy) texts.push(labelledBy);
+    
+    const ariaLabel = element.getAttribute('aria-label');
+    if (ariaLabel) texts.push(ariaLabel);
+    
+    return texts;
+  }
+  
+  getLabelledByText(element) {
+    const ids = (element.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    // IDs resolve within the element's own shadow root or document
+    const scope = element.getRootNode();
+    const lookup = scope.getElementById ? scope : element.ownerDocument || document;
+    
+    return ids
+      .map(id => lookup.getElementById(id))
+      .filter(Boolean)
+      .map(label => label.textContent)
+      .join(' ')
+      .trim();
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  normalizeText(text) {
+    return String(text || '').replace(/\s+/g, ' ').trim();
+  }
+  
+  matchesText(actual, expected, exact = false) {
+    const normalizedActual = this.normalizeText(actual);
+    const normalizedExpected = this.normalizeText(expected);
+    if (!normalizedExpected) return false;
+    
+    return exact ?
+      normalizedActual === normalizedExpected :
+      normalizedActual.toLowerCase().includes(normalizedExpected.toLowerCase());
+  }
+  
+  // Readable form for logs and errors: css "a.b" or role=button[name="Add"]
+  describe(locator) {
+    if (typeof locator === 'string') return locator;
+    
+    const kind = this.getKind(locator);
+    const prefix = locator && locator.pierce ? '>>> ' : '';
+    if (kind === 'role') {
+      return prefix + (locator.name !== undefined ? `role=${locator.role}[name="${locator.name}"]` : `role=${locator.role}`);
+    }
+    if (kind) return `${prefix}${kind}="${locator[kind]}"`;
+    
+    return JSON.stringify(locator);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LocatorEngine;
+} else if (typeof window !== 'undefined') {
+  window.LocatorEngine = LocatorEngine;
+}
+
+console.log('[LocatorEngine] Locator engine loaded successfully');
@@ -12,6 +12,9 @@ class PageDetector {
       maxRetries: options.maxRetries || 3,
       debounceDelay: options.debounceDelay || 1000,
       cacheTimeout: options.cacheTimeout || 30000,
+      healThreshold: options.healThreshold || 0.65,
+      maxHealingCandidates: options.maxHealingCandidates || 2000,
+      fingerprintStorageKey: options.fingerprintStorageKey || 'elementFingerprints',
       ...options
     };
     
@@ -32,11 +35,17 @@ class PageDetector {
       errors: 0
     };
     
-    // Initialize patterns and selectors
-    this.urlPatterns = this.initUrlPatterns();
-    this.elementMaps = this.initElementMaps();
-    this.pageIndicators = this.initPageIndicators();
-    this.contentPatterns = this.initContentPatterns();
+    // Element map entries may be CSS selectors or semantic locators
+    this.locators = new LocatorEngine({ debug: this.options.debug });
+    
+    // Initialize patterns and selectors, with user overrides layered on top
+    this.applyOverrides(this.options.overrides);
+    
+    // Last known shape of each mapped element, keyed by pageType.elementName
+    this.fingerprints = new Map();
+    this.fingerprintAttributes = ['id', 'name', 'type', 'role', 'aria-label', 'placeholder', 'title', 'alt', 'href', 'data-testid', 'value'];
+    this.debouncedSaveFingerprints = this.debounce(() => this.saveFingerprints(), 1000);
+    this.loadFingerprints();
     
     // Debounced detection function
     this.debouncedDetection = this.debounce(
@@ -59,12 +68,12 @@ class PageDetector {
    * MAIN DETECTION METHODS - ENHANCED
    */
   
-  async detectCurrentPage() {
+  async detectCurrentPage(options = {}) {
     const startTime = Date.now();
     
     try {
-      // Check cache first
-      const cached = this.getCachedDetection();
+      // Check cache first (skipped when the caller needs the live page state)
+      const cached = options.force ? null : this.getCachedDetection();
       if (cached) {
         this.performanceStats.cacheHits++;
         return cached;
@@ -458,6 +467,7 @@ class PageDetector {
     const cached = this.pageElements.get(currentPageType)?.[elementName];
     
     if (cached && this.isElementStillValid(cached.element)) {
+      this.recordFingerprint(currentPageType, elementName, cached.element, cached.selector);
       return cached;
     }
 
@@ -469,15 +479,402 @@ class PageDetector {
       throw new Error(`Element '${elementName}' not found on ${currentPageType} page`);
     }
 
+    this.recordFingerprint(currentPageType, elementName, elementInfo.element, elementInfo.selector);
     return elementInfo;
   }
 
   isElementStillValid(element) {
     return element && 
-           document.contains(element) && 
+           element.isConnected && 
            this.isElementVisible(element);
   }
 
+  /**
+   * USER OVERRIDES
+   */
+  
+  // Overrides come from chrome.storage via the content script (options page,
+  // element picker) and can be re-applied at any time:
+  //   urlPatterns      { pageType: ['/checkout/i', 'order-review'] }   replaces that page type
+  //   elementMaps      { pageType: { name: [selectors] } }             merged per element
+  //   pageIndicators   { pageType: [{ selector, weight }] }            replaces that page type
+  //   contentPatterns  { pageType: [{ text, html, weight }] }          replaces that page type
+  applyOverrides(overrides = {}) {
+    this.overrides = overrides || {};
+    
+    this.urlPatterns = {
+      ...this.initUrlPatterns(),
+      ...this.compileUrlPatterns(this.overrides.urlPatterns)
+    };
+    this.elementMaps = this.mergeElementMaps(this.initElementMaps(), this.overrides.elementMaps);
+    this.pageIndicators = { ...this.initPageIndicators(), ...this.overrides.pageIndicators };
+    this.contentPatterns = { ...this.initContentPatterns(), ...this.overrides.contentPatterns };
+    
+    // Anything detected with the old patterns is stale
+    this.pageElements.clear();
+    this.detectionCache.clear();
+  }
+
+  // Storage holds strings: '/source/flags', or a bare source matched case-insensitively
+  compileUrlPatterns(patterns = {}) {
+    const compiled = {};
+    
+    for (const [pageType, sources] of Object.entries(patterns || {})) {
+      compiled[pageType] = [];
+      
+      for (const source of sources) {
+        try {
+          compiled[pageType].push(this.parsePattern(source));
+        } catch (error) {
+          console.warn(`[PageDetector] Ignoring invalid URL pattern for ${pageType}: ${source}`, error.message);
+        }
+      }
+    }
+    
+    return compiled;
+  }
+
+  // Patterns are used with test(), where the g and y flags carry lastIndex
+  // between calls and make every other match fail
+  parsePattern(source) {
+    if (source instanceof RegExp) return source;
+    
+    const literal = /^\/(.+)\/([dgimsuy]*)$/s.exec(source);
+    if (literal && /[gy]/.test(literal[2])) {
+      throw new Error(`flags 'g' and 'y' are not allowed in URL patterns: ${source}`);
+    }
+    
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(source, 'i');
+  }
+
+  // User selectors are tried before the built-in ones, which stay as fallbacks
+  mergeElementMaps(defaults, overrides = {}) {
+    const merged = { ...defaults };
+    const toArray = (selectors) => Array.isArray(selectors) ? selectors : [selectors];
+    
+    for (const [pageType, elements] of Object.entries(overrides || {})) {
+      merged[pageType] = { ...merged[pageType] };
+      
+      for (const [elementName, selectors] of Object.entries(elements)) {
+        const userSelectors = toArray(selectors);
+        const keys = new Set(userSelectors.map(selector => JSON.stringify(selector)));
+        const builtin = merged[pageType][elementName] ? toArray(merged[pageType][elementName]) : [];
+        
+        merged[pageType][elementName] = [
+          ...userSelectors,
+          ...builtin.filter(selector => !keys.has(JSON.stringify(selector)))
+        ];
+      }
+    }
+    
+    return merged;
+  }
+
+  /**
+   * ELEMENT FINGERPRINTS (SELF-HEALING)
+   */
+  
+  // Fingerprints survive reloads so a later run can recognise an element
+  // whose selectors no longer match after a site change
+  async loadFingerprints() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    
+    try {
+      const stored = await chrome.storage.local.get(this.options.fingerprintStorageKey);
+      const fingerprints = stored[this.options.fingerprintStorageKey] || {};
+      
+      for (const [key, fingerprint] of Object.entries(fingerprints)) {
+        // Anything recorded since construction is newer than storage
+        if (!this.fingerprints.has(key)) {
+          this.fingerprints.set(key, fingerprint);
+        }
+      }
+    } catch (error) {
+      console.warn('[PageDetector] Could not load element fingerprints:', error);
+    }
+  }
+
+  async saveFingerprints() {
+    if (typeof chrome === 'undefined' || !chrome.storage?.local) return;
+    
+    try {
+      await chrome.storage.local.set({
+        [this.options.fingerprintStorageKey]: Object.fromEntries(this.fingerprints)
+      });
+    } catch (error) {
+      console.warn('[PageDetector] Could not save element fingerprints:', error);
+    }
+  }
+
+  recordFingerprint(pageType, elementName, element, selector) {
+    const key = `${pageType}.${elementName}`;
+    const fingerprint = this.createFingerprint(element, selector);
+    const previous = this.fingerprints.get(key);
+    
+    // Only write through when the element actually looks different
+    if (previous && JSON.stringify({ ...previous, recordedAt: 0 }) ===
+        JSON.stringify({ ...fingerprint, recordedAt: 0 })) {
+      return;
+    }
+    
+    this.fingerprints.set(key, fingerprint);
+    this.debouncedSaveFingerprints();
+  }
+
+  createFingerprint(element, selector = null) {
+    const attributes = {};
+    for (const name of this.fingerprintAttributes) {
+      const value = element.getAttribute(name);
+      if (value) attributes[name] = value.substring(0, 200);
+    }
+    
+    const parent = element.parentElement;
+    const sameTag = parent ?
+      Array.from(parent.children).filter(child => child.tagName === element.tagName) : [element];
+    
+    return {
+      tagName: element.tagName.toLowerCase(),
+      text: this.locators.normalizeText(element.innerText || element.textContent).substring(0, 100),
+      classes: Array.from(element.classList).filter(name => !this.isGeneratedToken(name)),
+      attributes,
+      labels: this.getNearbyLabels(element),
+      position: {
+        depth: this.getElementDepth(element),
+        index: sameTag.indexOf(element),
+        parentTag: parent ? parent.tagName.toLowerCase() : null,
+        parentClasses: parent ? Array.from(parent.classList).filter(name => !this.isGeneratedToken(name)) : []
+      },
+      selector: selector === null ? null : this.describeSelector(selector),
+      recordedAt: Date.now()
+    };
+  }
+
+  // Accessible name, <label>s and the closest heading-like text around the element
+  getNearbyLabels(element) {
+    const labels = [this.locators.getAccessibleName(element), ...this.locators.getLabelTexts(element)];
+    
+    const previous = element.previousElementSibling;
+    if (previous && previous.children.length === 0) {
+      labels.push(previous.textContent);
+    }
+    
+    const container = element.closest('fieldset, section, form, li, [class*="product"]');
+    const heading = container && container !== element ?
+      container.querySelector('legend, h1, h2, h3, h4, h5, h6, label') : null;
+    if (heading && !element.contains(heading)) {
+      labels.push(heading.textContent);
+    }
+    
+    return [...new Set(labels
+      .map(text => this.locators.normalizeText(text).substring(0, 80))
+      .filter(Boolean))];
+  }
+
+  // Best visible element resembling the stored fingerprint, or null when
+  // nothing clears healThreshold
+  healElement(elementName, pageType = null) {
+    const currentPageType = pageType || this.currentPage?.type;
+    const fingerprint = this.fingerprints.get(`${currentPageType}.${elementName}`);
+    if (!fingerprint) return null;
+    
+    let best = null;
+    
+    for (const candidate of this.getHealingCandidates(fingerprint)) {
+      if (!this.isElementVisible(candidate)) continue;
+      
+      const similarity = this.compareFingerprint(fingerprint, this.createFingerprint(candidate));
+      // calculateElementScore tops out at 2; it breaks ties toward usable elements
+      const confidence = similarity * 0.85 + Math.min(this.calculateElementScore(candidate), 2) / 2 * 0.15;
+      
+      if (!best || confidence > best.confidence) {
+        best = { element: candidate, confidence };
+      }
+    }
+    
+    if (!best || best.confidence < this.options.healThreshold) {
+      this.logDebug(`No healing match for ${elementName}`, best && best.confidence);
+      return null;
+    }
+    
+    const suggestedSelector = this.buildSelector(best.element);
+    console.warn(`[PageDetector] Healed '${elementName}' on ${currentPageType} page ` +
+      `(${Math.round(best.confidence * 100)}% match), suggested selector: ${suggestedSelector}`);
+    
+    return {
+      element: best.element,
+      selector: suggestedSelector,
+      visible: true,
+      interactive: this.isElementInteractive(best.element),
+      rect: best.element.getBoundingClientRect(),
+      attributes: this.getElementAttributes(best.element),
+      score: this.calculateElementScore(best.element),
+      healed: true,
+      confidence: Math.round(best.confidence * 100) / 100,
+      suggestedSelector,
+      previousSelector: fingerprint.selector
+    };
+  }
+
+  getHealingCandidates(fingerprint) {
+    const selectors = [fingerprint.tagName];
+    
+    // Buttons and links are often swapped for one another in redesigns
+    if (['a', 'button', 'input'].includes(fingerprint.tagName) || fingerprint.attributes.role === 'button') {
+      selectors.push('a', 'button', 'input[type="submit"]', 'input[type="button"]', '[role="button"]');
+    }
+    
+    // Redesigns also move elements into web components and frames
+    return this.queryAll(`>>> ${selectors.join(', ')}`)
+      .slice(0, this.options.maxHealingCandidates);
+  }
+
+  // Weighted similarity in [0, 1]
+  compareFingerprint(expected, actual) {
+    const weights = { tagName: 0.15, text: 0.25, attributes: 0.2, classes: 0.1, labels: 0.15, position: 0.15 };
+    let score = 0;
+    
+    if (expected.tagName === actual.tagName) score += weights.tagName;
+    
+    score += weights.text * this.compareText(expected.text, actual.text);
+    
+    const attributeNames = Object.keys(expected.attributes);
+    if (attributeNames.length > 0) {
+      const matching = attributeNames.filter(name => expected.attributes[name] === actual.attributes[name]).length;
+      score += weights.attributes * matching / attributeNames.length;
+    } else {
+      score += weights.attributes * (Object.keys(actual.attributes).length === 0 ? 1 : 0.5);
+    }
+    
+    score += weights.classes * this.compareSets(expected.classes, actual.classes);
+    
+    const labelScores = expected.labels.map(label =>
+      Math.max(0, ...actual.labels.map(other => this.compareText(label, other)))
+    );
+    score += weights.labels * (labelScores.length > 0 ?
+      labelScores.reduce((sum, value) => sum + value, 0) / labelScores.length :
+      actual.labels.length === 0 ? 1 : 0.5);
+    
+    const position = expected.position;
+    const positionScore =
+      (position.parentTag === actual.position.parentTag ? 0.3 : 0) +
+      (position.index === actual.position.index ? 0.2 : 0) +
+      (Math.abs(position.depth - actual.position.depth) <= 1 ? 0.2 : 0) +
+      0.3 * this.compareSets(position.parentClasses, actual.position.parentClasses);
+    score += weights.position * positionScore;
+    
+    return score;
+  }
+
+  compareText(expected, actual) {
+    const a = (expected || '').toLowerCase();
+    const b = (actual || '').toLowerCase();
+    
+    if (!a && !b) return 1;
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+    if (a.includes(b) || b.includes(a)) return 0.7;
+    
+    return this.compareSets(a.split(' '), b.split(' ')) * 0.6;
+  }
+
+  // Jaccard similarity; two empty sets count as identical
+  compareSets(expected, actual) {
+    if (expected.length === 0 && actual.length === 0) return 1;
+    
+    const a = new Set(expected);
+    const b = new Set(actual);
+    const shared = [...a].filter(item => b.has(item)).length;
+    
+    return shared / (a.size + b.size - shared);
+  }
+
+  getElementDepth(element) {
+    let depth = 0;
+    for (let node = element.parentElement; node; node = node.parentElement) {
+      depth++;
+    }
+    return depth;
+  }
+
+  /**
+   * SELECTOR GENERATION
+   */
+  
+  // Shortest unique CSS selector built from stable hooks (ids, test ids,
+  // names, non-generated classes), falling back to an nth-of-type path
+  buildSelector(element) {
+    const root = element.getRootNode();
+    const selector = this.buildLocalSelector(element, root);
+    
+    // Inside a shadow root or frame, address the element through its host
+    const host = root !== document && (root.host || root.defaultView?.frameElement);
+    return host ? `${this.buildSelector(host)} >>> ${selector}` : selector;
+  }
+
+  // Unique within root (a document or shadow root)
+  buildLocalSelector(element, root) {
+    const isUnique = (selector) => {
+      try {
+        const matches = root.querySelectorAll(selector);
+        return matches.length === 1 && matches[0] === element;
+      } catch (error) {
+        return false;
+      }
+    };
+    
+    const tagName = element.tagName.toLowerCase();
+    
+    if (element.id && !this.isGeneratedToken(element.id)) {
+      const selector = `#${CSS.escape(element.id)}`;
+      if (isUnique(selector)) return selector;
+    }
+    
+    for (const name of ['data-testid', 'data-test', 'data-qa', 'name', 'aria-label']) {
+      const value = element.getAttribute(name);
+      if (!value) continue;
+      
+      const selector = `${tagName}[${name}="${CSS.escape(value)}"]`;
+      if (isUnique(selector)) return selector;
+    }
+    
+    const classes = Array.from(element.classList)
+      .filter(name => !this.isGeneratedToken(name))
+      .map(name => `.${CSS.escape(name)}`);
+    
+    for (let count = 1; count <= Math.min(classes.length, 3); count++) {
+      const selector = tagName + classes.slice(0, count).join('');
+      if (isUnique(selector)) return selector;
+    }
+    
+    // Anchor a positional path on the nearest ancestor that has a stable id
+    const parts = [];
+    for (let node = element; node && node !== root.documentElement; node = node.parentElement) {
+      if (node !== element && node.id && !this.isGeneratedToken(node.id)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      
+      const sameTag = node.parentNode && node.parentNode.children ?
+        Array.from(node.parentNode.children).filter(child => child.tagName === node.tagName) : [node];
+      const part = node.tagName.toLowerCase();
+      parts.unshift(sameTag.length > 1 ? `${part}:nth-of-type(${sameTag.indexOf(node) + 1})` : part);
+      
+      if (isUnique(parts.join(' > '))) break;
+    }
+    
+    return parts.join(' > ');
+  }
+
+  // Hashed class names and ids from CSS-in-JS or framework builds change on
+  // every deploy, so they make poor selectors and fingerprints
+  isGeneratedToken(token) {
+    return /\d{3,}/.test(token) ||
+           /^(css|sc|jsx|emotion|svelte)-/i.test(token) ||
+           (/^[a-z]+-[a-z0-9]{5,}$/i.test(token) && /\d/.test(token)) ||
+           /^_?[a-zA-Z0-9]{6,}_/.test(token) ||
+           token.includes(':');
+  }
+
   /**
    * ENHANCED STATE ANALYSIS
    */
@@ -691,7 +1088,9 @@ class PageDetector {
           'input[name="search"]',
           '.header-search input',
           '.search-field input',
-          '.site-search input'
+          '.site-search input',
+          { role: 'searchbox' },
+          { placeholder: 'Search' }
         ],
         searchButton: [
           '#search-button', 
@@ -786,14 +1185,16 @@ class PageDetector {
           'button[data-action="add-to-cart"]',
           '.add-to-bag',
           '.purchase-btn',
-          '.buy-now'
+          '.buy-now',
+          { role: 'button', name: 'Add to Cart' }
         ],
         quantityInput: [
           '.quantity-input', 
           'input[name="quantity"]', 
           '[data-testid="quantity"]',
           '.qty-input',
-          '.product-quantity input'
+          '.product-quantity input',
+          { label: 'Quantity' }
         ],
         productImages: [
           '.product-images', 
@@ -848,7 +1249,9 @@ class PageDetector {
           '[data-testid="checkout"]', 
           '.proceed-checkout',
           '.btn-checkout',
-          '.continue-checkout'
+          '.continue-checkout',
+          { role: 'button', name: 'Checkout' },
+          { role: 'link', name: 'Checkout' }
         ],
         total: [
           '.total', 
@@ -1041,12 +1444,13 @@ class PageDetector {
    * ENHANCED UTILITY METHODS
    */
   
+  // selector is a CSS selector or a locator object (see LocatorEngine)
   async waitForElement(selector, timeout = 5000) {
     const startTime = Date.now();
     
     while (Date.now() - startTime < timeout) {
       try {
-        const elements = document.querySelectorAll(selector);
+        const elements = this.queryAll(selector);
         for (const element of elements) {
           if (this.isElementVisible(element)) {
             return element;
@@ -1062,6 +1466,14 @@ class PageDetector {
     return null;
   }
 
+  queryAll(selector, root = document) {
+    return this.locators.queryAll(selector, root);
+  }
+  
+  describeSelector(selector) {
+    return this.locators.describe(selector);
+  }
+
   async waitForDomReady() {
     if (document.readyState === 'complete') {
       return;
@@ -1084,10 +1496,13 @@ class PageDetector {
     if (!element) return false;
     
     try {
-      const rect = element.getBoundingClientRect();
+      // Top-level coordinates, so elements inside iframes are checked
+      // against the tab's viewport
+      const rect = this.locators.getViewportRect(element);
       if (rect.width <= 0 || rect.height <= 0) return false;
       
-      const style = window.getComputedStyle(element);
+      const view = element.ownerDocument.defaultView || window;
+      const style = view.getComputedStyle(element);
       if (style.display === 'none' || 
           style.visibility === 'hidden' || 
           style.opacity === '0') return false;
@@ -1114,7 +1529,7 @@ class PageDetector {
     if (!element) return false;
     
     try {
-      const style = window.getComputedStyle(element);
+      const style = (element.ownerDocument.defaultView || window).getComputedStyle(element);
       const tagName = element.tagName.toLowerCase();
       
       if (element.disabled || style.pointerEvents === 'none') return false;
@@ -1379,6 +1794,28 @@ class PageDetector {
     return 'unknown';
   }
 
+  extractProductBrand() {
+    const brandEl = document.querySelector(
+      '[itemprop="brand"], .product-brand, .brand-name, [data-testid="product-brand"], .brand'
+    );
+    if (brandEl) {
+      const text = (brandEl.getAttribute('content') || brandEl.textContent).trim();
+      if (text) return text;
+    }
+    
+    return this.getMetaContent('product:brand');
+  }
+
+  extractProductCategory() {
+    // Last breadcrumb is usually the product itself, so take the one before it
+    const breadcrumbs = this.extractBreadcrumbs();
+    if (breadcrumbs.length > 1) {
+      return breadcrumbs[breadcrumbs.length - 2];
+    }
+    
+    return this.getMetaContent('product:category');
+  }
+
   extractSearchQuery() {
     const urlParams = new URLSearchParams(window.location.search);
     return urlParams.get('q') || 
@@ -0,0 +1,213 @@
+/**
+ * Page Hooks
+ * Runs in the page's own JavaScript world (injected by the background through
+ * chrome.scripting at PageMonitor's request) and reports the storefront's
+ * console errors, uncaught exceptions, unhandled promise rejections and
+ * fetch/XHR traffic back to the content script through window.postMessage
+ */
+
+(function() {
+  // Survives re-injection when the content script restarts on the same page
+  if (window.__speedwayPageHooks) return;
+  window.__speedwayPageHooks = true;
+  
+  const SOURCE = 'speedway-page-hooks';
+  const MAX_MESSAGE_LENGTH = 500;
+  const MAX_STACK_LENGTH = 2000;
+  const MAX_URL_LENGTH = 500;
+  
+  let requestCounter = 0;
+  
+  function truncate(text, length) {
+    text = String(text);
+    return text.length > length ? text.substring(0, length) + '…' : text;
+  }
+  
+  function describe(value) {
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    if (typeof value === 'string') return value;
+    
+    try {
+      return JSON.stringify(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+  
+  function post(type, payload) {
+    try {
+      window.postMessage({ source: SOURCE, type, payload }, '*');
+    } catch (error) {
+      // Nothing sensible to do from inside an error hook
+    }
+  }
+  
+  function reportError(kind, message, details = {}) {
+    post('pageError', {
+      kind,
+      message: truncate(message || 'Unknown error', MAX_MESSAGE_LENGTH),
+      source: details.source || null,
+      line: details.line || null,
+      column: details.column || null,
+      stack: details.stack ? truncate(details.stack, MAX_STACK_LENGTH) : null
+    });
+  }
+  
+  /**
+   * CONSOLE.ERROR
+   */
+  
+  const originalError = console.error;
+  console.error = function(...args) {
+    const error = args.find(arg => arg instanceof Error);
+    reportError('console', args.map(describe).join(' '), { stack: error && error.stack });
+    return originalError.apply(this, args);
+  };
+  
+  /**
+   * UNCAUGHT EXCEPTIONS (window.onerror)
+   */
+  
+  // Bubble phase only: failed resource loads do not bubble to window
+  window.addEventListener('error', (event) => {
+    reportError('exception', event.message, {
+      source: event.filename,
+      line: event.lineno,
+      column: event.colno,
+      stack: event.error && event.error.stack
+    });
+  });
+  
+  /**
+   * UNHANDLED REJECTIONS
+   */
+  
+  window.addEventListener('unhandledrejection', (event) => {
+    const reason = event.reason;
+    reportError('rejection', `Unhandled rejection: ${describe(reason)}`, {
+      stack: reason instanceof Error ? reason.stack : null
+    });
+  });
+  
+  /**
+   * NETWORK (fetch / XMLHttpRequest)
+   */
+  
+  function resolveUrl(url) {
+    try {
+      return truncate(new URL(String(url), window.location.href).href, MAX_URL_LENGTH);
+    } catch (error) {
+      return truncate(url, MAX_URL_LENGTH);
+    }
+  }
+  
+  // Content-Length when the server sends it, otherwise the resource timing
+  // entry (only populated cross-origin with Timing-Allow-Origin)
+  function lookupSize(url, contentLength) {
+    const length = parseInt(contentLength, 10);
+    if (!isNaN(length)) return length;
+    
+    const entries = performance.getEntriesByName(url);
+    const entry = entries[entries.length - 1];
+    return entry && entry.encodedBodySize ? entry.encodedBodySize : null;
+  }
+  
+  function reportRequest(request, outcome) {
+    post('request', {
+      id: request.id,
+      type: request.type,
+      method: request.method,
+      url: request.url,
+      startedAt: request.startedAt,
+      duration: Math.round(performance.now() - request.start),
+      status: outcome.status || 0,
+      size: outcome.size === undefined ? null : outcome.size,
+      error: outcome.error || null
+    });
+  }
+  
+  // Announced up front so the content script can track in-flight requests
+  function beginRequest(type, method, url) {
+    const request = {
+      id: ++requestCounter,
+      type,
+      method: String(method || 'GET').toUpperCase(),
+      url: resolveUrl(url),
+      startedAt: Date.now(),
+      start: performance.now()
+    };
+    
+    post('requestStart', {
+      id: request.id,
+      type: request.type,
+      method: request.method,
+      url: request.url,
+      startedAt: request.startedAt
+    });
+    
+    return request;
+  }
+  
+  const originalFetch = window.fetch;
+  if (originalFetch) {
+    window.fetch = function(input, init) {
+      const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+      const request = beginRequest(
+        'fetch',
+        (init && init.method) || (isRequest ? input.method : 'GET'),
+        isRequest ? input.url : input
+      );
+      
+      return originalFetch.apply(this, arguments).then(response => {
+        reportRequest(request, {
+          status: response.status,
+          size: lookupSize(request.url, response.headers.get('content-length'))
+        });
+        return response;
+      }, error => {
+        reportRequest(request, { error: error && error.message ? error.message : String(error) });
+        throw error;
+      });
+    };
+  }
+  
+  const xhrProto = XMLHttpRequest.prototype;
+  const originalOpen = xhrProto.open;
+  const originalSend = xhrProto.send;
+  
+  xhrProto.open = function(method, url) {
+    this.__speedwayRequest = { method, url };
+    return originalOpen.apply(this, arguments);
+  };
+  
+  xhrProto.send = function() {
+    const opened = this.__speedwayRequest;
+    
+    if (opened) {
+      const request = beginRequest('xhr', opened.method, opened.url);
+      
+      this.addEventListener('loadend', () => {
+        reportRequest(request, {
+          status: this.status,
+          size: measureXhr(this, request.url),
+          error: this.status === 0 ? 'Network error or request aborted' : null
+        });
+      });
+    }
+    
+    return originalSend.apply(this, arguments);
+  };
+  
+  function measureXhr(xhr, url) {
+    try {
+      const response = xhr.response;
+      if (typeof response === 'string') return response.length;
+      if (response && typeof response.byteLength === 'number') return response.byteLength;
+      if (response && typeof response.size === 'number') return response.size;
+    } catch (error) {
+      // Some response types throw while the request is in an error state
+    }
+    
+    return lookupSize(url, xhr.getResponseHeader('content-length'));
+  }
+})();
@@ -0,0 +1,193 @@
+/**
+ * Page Monitor
+ * Installs the page-world hooks (page-hooks.js) and relays what they report,
+ * so the runner sees errors and network requests made by the storefront itself
+ * rather than by the extension's isolated world
+ */
+
+class PageMonitor {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      maxErrors: options.maxErrors || 50,
+      ...options
+    };
+    
+    this.isRecording = false;
+    this.installPromise = null;
+    this.errors = [];
+    this.listeners = new Map();
+    
+    // In-flight fetch/XHR requests by hook id, tracked even while not recording
+    this.pendingRequests = new Map();
+    this.lastNetworkActivity = 0;
+    
+    this.handleMessage = this.handleMessage.bind(this);
+  }
+  
+  /**
+   * INSTALLATION
+   */
+  
+  // The hooks must run in the page world, which a content script cannot
+  // reach; options.injectHooks asks the background to inject them there
+  install() {
+    if (this.installPromise) return this.installPromise;
+    
+    window.addEventListener('message', this.handleMessage);
+    
+    if (typeof this.options.injectHooks !== 'function') {
+      this.logWarn('No page hook injector configured; page errors will not be recorded');
+      return Promise.resolve(false);
+    }
+    
+    this.installPromise = Promise.resolve()
+      .then(() => this.options.injectHooks())
+      .then(() => {
+        this.logDebug('Page hooks installed');
+        return true;
+      }, (error) => {
+        this.installPromise = null;
+        this.logWarn(`Page hooks could not be installed; page errors will not be recorded: ${error.message}`);
+        return false;
+      });
+    
+    return this.installPromise;
+  }
+  
+  /**
+   * RECORDING CONTROL
+   */
+  
+  async start() {
+    this.isRecording = true;
+    return this.install();
+  }
+  
+  stop() {
+    this.isRecording = false;
+  }
+  
+  handleMessage(event) {
+    // Only messages the hooks posted on this window
+    if (event.source !== window || !event.data || event.data.source !== 'speedway-page-hooks') return;
+    
+    const { type, payload } = event.data;
+    
+    if (type === 'requestStart' || type === 'request') {
+      this.trackRequest(type, payload);
+    }
+    
+    if (!this.isRecording) return;
+    
+    if (type === 'pageError') {
+      const pageError = { ...payload, url: window.location.href, timestamp: Date.now() };
+      
+      this.errors.push(pageError);
+      if (this.errors.length > this.options.maxErrors) {
+        this.errors.shift();
+      }
+      
+      this.logDebug('Page error:', pageError);
+      this.emit('pageError', pageError);
+    }
+    
+    if (type === 'request') {
+      this.logDebug('Request:', payload);
+      this.emit('request', payload);
+    }
+  }
+  
+  /**
+   * NETWORK ACTIVITY
+   */
+  
+  trackRequest(type, payload) {
+    this.lastNetworkActivity = Date.now();
+    
+    if (type === 'requestStart') {
+      this.pendingRequests.set(payload.id, payload);
+    } else {
+      this.pendingRequests.delete(payload.id);
+    }
+  }
+  
+  // Idle means nothing in flight and no request started or finished for
+  // idleTime ms; since lets a caller ignore quiet time before an action
+  isNetworkIdle(idleTime, since = 0) {
+    if (this.pendingRequests.size > 0) return false;
+    return Date.now() - Math.max(this.lastNetworkActivity, since) >= idleTime;
+  }
+  
+  getPendingRequests() {
+    return Array.from(this.pendingRequests.values());
+  }
+  
+  getErrors() {
+    return [...this.errors];
+  }
+  
+  clear() {
+    this.errors = [];
+  }
+  
+  /**
+   * EVENTS
+   */
+  
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+  
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+  
+  emit(event, data) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    
+    for (const handler of handlers) {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[PageMonitor] ${event} handler error:`, error);
+      }
+    }
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  logDebug(message, data = null) {
+    if (this.options.debug) {
+      console.log(`[PageMonitor] ${message}`, data);
+    }
+  }
+  
+  logWarn(message) {
+    console.warn(`[PageMonitor] ${message}`);
+  }
+  
+  destroy() {
+    this.stop();
+    this.listeners.clear();
+    window.removeEventListener('message', this.handleMessage);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PageMonitor;
+} else if (typeof window !== 'undefined') {
+  window.PageMonitor = PageMonitor;
+}
+
+console.log('[PageMonitor] Page monitor loaded successfully');
@@ -0,0 +1,40 @@
+/**
+ * Cart Conditions - Condition Plugin
+ * Plugins are content scripts loaded before content.js that queue themselves
+ * on window.speedwayPlugins; the content script registers their conditions on
+ * the ScenarioRunner at startup, so scenarios can use them in waitFor, if and
+ * repeat/until like the built-in ones:
+ *   { "type": "waitFor", "condition": { "type": "cartHasItems", "min": 2 } }
+ */
+
+(function registerCartConditions() {
+  const plugin = {
+    name: 'cart-conditions',
+    conditions: {
+      // Visible cart lines (the cart.cartItem element map, overrides included)
+      cartHasItems: {
+        schema: { target: false, fields: { min: 'count' } },
+        predicate: (condition, runner) => {
+          const min = condition.min !== undefined ? condition.min : 1;
+          const items = runner.queryTargetElements({ elementName: 'cartItem', pageType: 'cart' })
+            .filter(element => runner.pageDetector.isElementVisible(element));
+          
+          return items.length >= min;
+        }
+      }
+    }
+  };
+  
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = plugin;
+  } else if (typeof window !== 'undefined') {
+    window.speedwayPlugins = window.speedwayPlugins || [];
+    
+    // Re-injection must not queue the plugin twice
+    if (!window.speedwayPlugins.some(existing => existing.name === plugin.name)) {
+      window.speedwayPlugins.push(plugin);
+    }
+  }
+  
+  console.log('[CartConditions] Condition plugin loaded successfully');
+})();
@@ -0,0 +1,190 @@
+/**
+ * Safety Guard - Irreversible Action Policy
+ * Sits between ScenarioRunner and HumanSimulator and refuses clicks that look
+ * like placing an order, submitting a payment or deleting an account, unless
+ * the background has put this tab's origin on the "safe to transact" list
+ */
+
+class SafetyGuard {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      ...options
+    };
+    
+    this.pageDetector = options.pageDetector || null;
+    this.locators = this.pageDetector?.locators || new LocatorEngine();
+    this.categories = this.initCategories();
+    
+    // Controls that act on the click; the text of the nearest one is checked
+    this.actionSelector = 'button, input, a[href], [role="button"], [role="link"], [role="menuitem"]';
+    this.submitSelector = 'button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]';
+    
+    // On checkout pages any of these words on a control is enough
+    this.checkoutCommitPattern = /\b(place|submit|complete|confirm|finish|pay|buy|purchase)\b/i;
+    
+    // Fails closed until the background says otherwise
+    this.applyPolicy(options.policy);
+  }
+  
+  initCategories() {
+    return {
+      order: {
+        label: 'order placement',
+        text: [
+          /\b(place|submit|complete|confirm|finish)\s+(my\s+|your\s+|the\s+)?(order|purchase)\b/i,
+          /\bcomplete\s+checkout\b/i,
+          /\bbuy\s+now\b/i
+        ],
+        selectors: [
+          '[id*="place-order" i]',
+          '[id*="placeorder" i]',
+          '[name*="placeorder" i]',
+          '[data-testid*="place-order" i]',
+          '[class*="place-order" i]'
+        ]
+      },
+      payment: {
+        label: 'payment submission',
+        text: [
+          /\b(submit|make|confirm|authori[sz]e|complete)\s+(the\s+|my\s+)?payment\b/i,
+          /\bconfirm\s+(and|&)\s+pay\b/i,
+          /\bpay\s+(now|securely|with|\$|\d)/i
+        ],
+        selectors: [
+          '[id*="submit-payment" i]',
+          '[data-testid*="submit-payment" i]',
+          '[class*="submit-payment" i]'
+        ]
+      },
+      accountDeletion: {
+        label: 'account deletion',
+        text: [
+          /\b(delete|close|deactivate|remove|cancel)\s+(my\s+|your\s+|this\s+|the\s+)?account\b/i
+        ],
+        selectors: [
+          '[id*="delete-account" i]',
+          '[data-testid*="delete-account" i]',
+          '[class*="delete-account" i]'
+        ]
+      }
+    };
+  }
+  
+  /**
+   * POLICY
+   */
+  
+  // The background resolves the safe to transact list against this tab's
+  // origin, so only the verdict and the configured selectors arrive here
+  applyPolicy(policy = {}) {
+    this.transactAllowed = policy.transactAllowed === true;
+    this.blockedSelectors = Array.isArray(policy.blockedSelectors) ?
+      policy.blockedSelectors.filter(selector => typeof selector === 'string' && selector.trim()) : [];
+    
+    this.logDebug(`Policy applied: transactions ${this.transactAllowed ? 'allowed' : 'blocked'}, ` +
+      `${this.blockedSelectors.length} configured selector(s)`);
+  }
+  
+  /**
+   * CHECKS
+   */
+  
+  // Throws an Error carrying a `blocked` verdict; the runner fails the step
+  // without retrying it
+  assertClickAllowed(element) {
+    this.throwIfBlocked(this.check(element), 'a click on');
+  }
+  
+  // Enter in a form field submits the form like its default button would
+  assertSubmitAllowed(element) {
+    const form = element.form || element.closest('form');
+    const submitter = form && form.querySelector(this.submitSelector);
+    
+    if (submitter) {
+      this.throwIfBlocked(this.check(submitter), 'Enter submitting');
+    }
+  }
+  
+  // Returns null when the click is allowed, otherwise what it looked like
+  check(element) {
+    if (this.transactAllowed || !element) return null;
+    
+    const target = element.closest(this.actionSelector) || element;
+    const text = this.locators.normalizeText(this.locators.getAccessibleName(target)).slice(0, 80);
+    
+    // Configured selectors also cover everything inside the matched element
+    for (const selector of this.blockedSelectors) {
+      if (this.matches(element, selector, true)) {
+        return { category: 'blockedSelector', label: 'a blocked element', reason: `matches '${selector}'`, text };
+      }
+    }
+    
+    for (const [category, definition] of Object.entries(this.categories)) {
+      const selector = definition.selectors.find(selector => this.matches(target, selector));
+      if (selector) {
+        return { category, label: definition.label, reason: `matches '${selector}'`, text };
+      }
+      
+      const pattern = definition.text.find(pattern => pattern.test(text));
+      if (pattern) {
+        return { category, label: definition.label, reason: 'button text', text };
+      }
+    }
+    
+    if (this.isCheckoutPage() && this.checkoutCommitPattern.test(text)) {
+      return { category: 'order', label: 'order placement', reason: 'button text on a checkout page', text };
+    }
+    
+    return null;
+  }
+  
+  throwIfBlocked(verdict, action) {
+    if (!verdict) return;
+    
+    const origin = window.location.origin;
+    const error = new Error(
+      `Safety guard blocked ${action} "${verdict.text || 'element'}": it looks like ${verdict.label} ` +
+      `(${verdict.reason}) and ${origin} is not on the safe to transact list`
+    );
+    error.blocked = { ...verdict, origin };
+    
+    console.warn(`[SafetyGuard] ${error.message}`);
+    throw error;
+  }
+  
+  // Checkout URL patterns come from PageDetector, including user overrides
+  isCheckoutPage() {
+    const patterns = this.pageDetector?.urlPatterns?.checkout || [];
+    return patterns.some(pattern => pattern.test(window.location.href));
+  }
+  
+  // Invalid configured selectors are skipped rather than blocking everything
+  matches(element, selector, includeAncestors = false) {
+    try {
+      return includeAncestors ? Boolean(element.closest(selector)) : element.matches(selector);
+    } catch (error) {
+      this.logDebug(`Ignoring invalid selector '${selector}'`);
+      return false;
+    }
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  logDebug(message) {
+    if (this.options.debug) {
+      console.log(`[SafetyGuard] ${message}`);
+    }
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SafetyGuard;
+} else if (typeof window !== 'undefined') {
+  window.SafetyGuard = SafetyGuard;
+}
+
+console.log('[SafetyGuard] Safety guard loaded successfully');
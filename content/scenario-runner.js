@@ -1,130 +1,2221 @@
 /**
- * Critical fixes for Scenario Runner
- * Key fixes: Error handling, element finding, navigation detection
+ * Scenario Runner - Execution Engine
+ * Drives HumanSimulator through named scenarios using PageDetector element maps
  */
 
-// Add these fixes to the existing ScenarioRunner class:
-
-// 1. Fix element finding with better fallbacks
-async function fixedFindElement(step, timeout = null) {
-  timeout = timeout || this.options.stepTimeout;
+class ScenarioRunner {
+  constructor(options = {}) {
+    const { humanSim, pageDetector, pageMonitor, safetyGuard, captureScreenshot, acquirePageLoadSlot, ...settings } = options;
+    
+    this.options = {
+      debug: settings.debug || false,
+      mouseSpeed: settings.mouseSpeed || 1.0,
+      typingSpeed: settings.typingSpeed || 1.0,
+      humanness: settings.humanness || 0.8,
+      stepTimeout: settings.stepTimeout || 10000,
+      stepDelay: settings.stepDelay || 500,
+      maxIterations: settings.maxIterations || 100,
+      maxCallDepth: settings.maxCallDepth || 5,
+      maxPageErrors: settings.maxPageErrors || 50,
+      maxRequestsPerStep: settings.maxRequestsPerStep || 100,
+      networkIdleTime: settings.networkIdleTime || 500,
+      contentQuietTime: settings.contentQuietTime || 500,
+      screenshotOnFailure: settings.screenshotOnFailure !== false,
+      hideOverlaysInScreenshots: settings.hideOverlaysInScreenshots !== false,
+      selfHealing: settings.selfHealing !== false,
+      executionMode: settings.executionMode || 'human',
+      ...settings
+    };
+    
+    // Shared modules can be injected by the content script; otherwise they
+    // are created lazily on first run so health checks stay cheap
+    this.humanSim = humanSim || null;
+    this.pageDetector = pageDetector || null;
+    this.ownsHumanSim = !humanSim;
+    this.ownsPageDetector = !pageDetector;
+    
+    // Page-world error hooks; optional, runs work without them
+    this.pageMonitor = pageMonitor || null;
+    this.handlePageError = this.handlePageError.bind(this);
+    this.handleRequest = this.handleRequest.bind(this);
+    
+    // Blocks irreversible clicks on origins not marked safe to transact
+    this.safetyGuard = safetyGuard || null;
+    
+    // Screenshots need the background (captureVisibleTab), so the host supplies them
+    this.captureScreenshot = captureScreenshot || null;
+    
+    // The background's politeness throttle; without it page loads are not paced
+    this.acquirePageLoadSlot = acquirePageLoadSlot || null;
+    
+    this.validator = typeof ScenarioValidator !== 'undefined' ?
+      new ScenarioValidator({ debug: this.options.debug }) : null;
+    
+    this.scenarios = this.initScenarios();
+    this.stepHandlers = this.initStepHandlers();
+    this.assertions = this.initAssertions();
+    this.captures = this.initCaptures();
+    this.conditions = this.initConditions();
+    this.builtinConditions = new Set(Object.keys(this.conditions));
+    
+    // Step fields that may contain {{name}} templates
+    this.templateFields = ['text', 'selector', 'url', 'expected', 'pattern', 'message', 'times', 'arguments', 'label'];
+    
+    // 'human' drives HumanSimulator; 'fast' swaps in DirectDriver and drops
+    // the pacing delays, for CI runs that only care about correctness
+    this.executionModes = ['human', 'fast'];
+    this.directDriver = null;
+    this.listeners = new Map();
+    
+    this.resetRunState();
+    
+    if (this.options.debug) {
+      console.log('[ScenarioRunner] Initialized with scenarios:', Object.keys(this.scenarios));
+    }
+  }
+  
+  resetRunState() {
+    this.state = 'idle'; // idle | running | paused | stopped | completed | failed
+    this.isRunning = false;
+    this.isPaused = false;
+    this.shouldStop = false;
+    this.currentScenario = null;
+    this.currentParameters = {};
+    this.currentStep = 0;
+    this.totalSteps = 0;
+    this.startTime = null;
+    this.endTime = null;
+    this.lastError = null;
+    this.stepResults = [];
+    this.variables = {};
+    this.callStack = [];
+    this.scopeStack = [];
+    this.runId = null;
+    this.currentDefinition = null;
+    this.currentPath = null;
+    this.resumePath = null;
+    this.pageErrors = [];
+    this.checkedPageErrors = 0;
+    this.lastContentChange = null;
+    this.executionMode = 'human';
+    this.seed = null;
+  }
+  
+  ensureModules() {
+    if (!this.humanSim) {
+      this.humanSim = new HumanSimulator({
+        debug: this.options.debug,
+        mouseSpeed: this.options.mouseSpeed,
+        typingSpeed: this.options.typingSpeed,
+        humanness: this.options.humanness
+      });
+    }
+    
+    if (!this.pageDetector) {
+      this.pageDetector = new PageDetector({ debug: this.options.debug });
+    }
+    
+    // Without a policy from the host the guard blocks on every origin
+    if (!this.safetyGuard && typeof SafetyGuard !== 'undefined') {
+      this.safetyGuard = new SafetyGuard({ debug: this.options.debug, pageDetector: this.pageDetector });
+    }
+  }
+  
+  /**
+   * EXECUTION MODE
+   */
+  
+  // A per-run mode wins over the executionMode setting
+  resolveExecutionMode(mode) {
+    const resolved = mode || this.options.executionMode || 'human';
+    
+    if (!this.executionModes.includes(resolved)) {
+      throw new Error(`Unknown execution mode '${resolved}', expected one of: ${this.executionModes.join(', ')}`);
+    }
+    
+    return resolved;
+  }
+  
+  // Click, type and scroll steps act through this; DirectDriver has the same
+  // method names as HumanSimulator so the step handlers do not branch
+  getDriver() {
+    if (this.executionMode !== 'fast') {
+      return this.humanSim;
+    }
+    
+    if (!this.directDriver || this.directDriver.humanSim !== this.humanSim) {
+      this.directDriver = new DirectDriver({ debug: this.options.debug, humanSim: this.humanSim });
+    }
+    
+    return this.directDriver;
+  }
+  
+  // A given seed replays a run's timing, paths and typing mistakes; without
+  // one a fresh seed is drawn so the run can be replayed later
+  resolveSeed(seed) {
+    if (seed === undefined || seed === null || seed === '') {
+      return HumanSimulator.createSeed();
+    }
+    
+    const value = typeof seed === 'string' ? Number(seed.trim()) : seed;
+    if (!HumanSimulator.isValidSeed(value)) {
+      throw new Error(`Invalid seed '${seed}': expected an integer from 0 to 4294967295`);
+    }
+    
+    return value;
+  }
+  
+  /**
+   * SCENARIO EXECUTION
+   */
+  
+  // Accepts a registered scenario name or an inline scenario definition
+  async runScenario(scenarioOrName, parameters = {}, options = {}) {
+    if (this.isRunning) {
+      throw new Error(`Scenario '${this.currentScenario}' is already running`);
+    }
+    
+    const scenario = typeof scenarioOrName === 'string' ?
+      this.getScenario(scenarioOrName) : scenarioOrName;
+    
+    this.assertValidScenario(scenario);
+    
+    const params = this.resolveParameters(scenario, parameters);
+    const mode = this.resolveExecutionMode(options.mode);
+    const seed = this.resolveSeed(options.seed);
+    
+    this.beginRun(scenario, params, options.runId || null);
+    this.executionMode = mode;
+    this.seed = seed;
+    this.humanSim.setSeed(seed);
+    this.startTime = Date.now();
+    
+    this.emit('onStart', {
+      scenario: scenario.name,
+      parameters: params,
+      mode,
+      seed,
+      totalSteps: this.totalSteps,
+      timestamp: this.startTime
+    });
+    
+    return this.executeRun(async () => {
+      await this.startPageMonitor();
+      await this.pageDetector.detectCurrentPage();
+      await this.runSteps(scenario.steps, params);
+    });
+  }
+  
+  // Continues a run from a checkpoint taken before a full page load. The step
+  // that was in flight when the old page unloaded counts as completed by the
+  // navigation; execution picks up with the step after it.
+  async resumeScenario(checkpoint) {
+    if (this.isRunning) {
+      throw new Error(`Scenario '${this.currentScenario}' is already running`);
+    }
+    
+    const scenario = checkpoint.scenario;
+    this.assertValidScenario(scenario);
+    
+    this.beginRun(scenario, checkpoint.parameters, checkpoint.runId);
+    this.executionMode = this.resolveExecutionMode(checkpoint.mode);
+    this.startTime = checkpoint.startTime || Date.now();
+    
+    // Pick the random sequence up where the previous page left it
+    this.seed = this.resolveSeed(checkpoint.seed);
+    this.humanSim.setSeed(this.seed);
+    if (checkpoint.randomState !== undefined && checkpoint.randomState !== null) {
+      this.humanSim.setRandomState(checkpoint.randomState);
+    }
+    this.variables = { ...checkpoint.variables };
+    this.stepResults = (checkpoint.results || []).map(result => ({ ...result }));
+    this.resumePath = checkpoint.path || null;
+    this.currentStep = checkpoint.currentStep || 0;
+    
+    // Request and page error detail from earlier pages stays with the
+    // background (see getRunDetail); this page collects its own
+    this.pageErrors = [];
+    this.checkedPageErrors = 0;
+    
+    if (checkpoint.state === 'paused') {
+      this.isPaused = true;
+      this.state = 'paused';
+    }
+    
+    this.emit('onResume', {
+      scenario: scenario.name,
+      step: this.currentStep,
+      path: this.resumePath,
+      totalSteps: this.totalSteps,
+      url: window.location.href
+    });
+    
+    return this.executeRun(async () => {
+      await this.startPageMonitor();
+      await this.waitForPageReady();
+      await this.pageDetector.detectCurrentPage({ force: true });
+      await this.runSteps(scenario.steps, this.currentParameters);
+    });
+  }
+  
+  beginRun(scenario, params, runId) {
+    this.ensureModules();
+    this.resetRunState();
+    
+    this.state = 'running';
+    this.isRunning = true;
+    this.runId = runId;
+    this.currentScenario = scenario.name;
+    this.currentDefinition = scenario;
+    this.currentParameters = params;
+    this.totalSteps = scenario.steps.length;
+    this.callStack = [scenario.name];
+  }
+  
+  // Shared completion, stop and failure handling for fresh and resumed runs
+  async executeRun(body) {
+    const name = this.currentScenario;
+    
+    try {
+      await body();
+      
+      // Errors raised after the last step finished
+      this.checkPageErrors();
+      
+      // Soft assertion failures let the run finish but still fail it
+      const summary = this.getResultSummary();
+      this.state = summary.failed > 0 ? 'failed' : 'completed';
+      this.endTime = Date.now();
+      
+      this.emit('onComplete', {
+        scenario: name,
+        duration: this.endTime - this.startTime,
+        steps: this.totalSteps,
+        passed: summary.failed === 0,
+        summary,
+        results: this.stepResults,
+        variables: this.variables,
+        pageErrors: this.pageErrors
+      });
+      
+      return this.getStatus();
+    
+    } catch (error) {
+      this.endTime = Date.now();
+      
+      if (error.stopped) {
+        this.state = 'stopped';
+        this.emit('onStop', {
+          scenario: name,
+          step: this.currentStep,
+          duration: this.endTime - this.startTime
+        });
+        return this.getStatus();
+      }
+      
+      this.state = 'failed';
+      this.lastError = error;
+      
+      this.emit('onError', {
+        scenario: name,
+        step: this.currentStep,
+        error: error.message,
+        assertion: error.assertion || null,
+        blocked: error.blocked || null,
+        duration: this.endTime - this.startTime,
+        summary: this.getResultSummary(),
+        results: this.stepResults,
+        variables: this.variables,
+        pageErrors: this.pageErrors
+      });
+      
+      throw error;
+    
+    } finally {
+      this.stopPageMonitor();
+      this.isRunning = false;
+      this.isPaused = false;
+      this.shouldStop = false;
+    }
+  }
+  
+  // Runs a step list; nested lists (branches, loop bodies, called scenarios)
+  // get dotted paths such as "3.1" or "4[2].1" under their parent step
+  async runSteps(steps, params, parentPath = null) {
+    for (let i = 0; i < steps.length; i++) {
+      await this.checkpoint();
+      
+      if (parentPath === null) {
+        this.currentStep = i + 1;
+      }
+      
+      const path = parentPath === null ? String(i + 1) : `${parentPath}.${i + 1}`;
+      const resume = this.getResumeAction(path);
+      
+      if (resume === 'done') continue;
+      
+      if (resume === 'navigated') {
+        this.completeNavigatedStep(path);
+      } else {
+        await this.runStep(steps[i], params, path, resume === 'enter');
+      }
+      
+      if (i < steps.length - 1 && this.options.stepDelay > 0) {
+        await this.pace(this.options.stepDelay);
+      }
+    }
+  }
+  
+  // Executes one step and records its pass/fail result. Re-entering a control
+  // step on resume reuses its existing result instead of starting a new one.
+  async runStep(step, params, path, reentering = false) {
+    const action = { name: step.name || step.type, type: step.type };
+    const existing = reentering ? this.findResult(path) : null;
+    const result = existing || {
+      step: this.currentStep,
+      path,
+      name: action.name,
+      type: step.type,
+      status: 'running',
+      startedAt: Date.now(),
+      duration: 0,
+      error: null,
+      assertion: null,
+      captured: null,
+      details: null
+    };
+    
+    this.currentPath = path;
+    
+    // Recorded up front so nested steps follow their parent in the results
+    if (!existing) {
+      this.stepResults.push(result);
+      
+      this.emit('onStepStart', {
+        scenario: this.currentScenario,
+        step: this.currentStep,
+        path,
+        totalSteps: this.totalSteps,
+        action
+      });
+    }
+    
+    try {
+      const resolvedStep = this.resolveStepTemplates(step, params);
+      const outcome = await this.executeStep(resolvedStep, params, path);
+      this.checkPageErrors();
+      
+      result.status = 'passed';
+      if (outcome && outcome.assertion) {
+        result.assertion = outcome.assertion;
+      }
+      if (outcome && outcome.captured) {
+        result.captured = outcome.captured;
+      }
+      if (outcome && outcome.details) {
+        result.details = outcome.details;
+      }
+    } catch (error) {
+      if (error.stopped) {
+        result.status = 'stopped';
+        result.duration = Date.now() - result.startedAt;
+        throw error;
+      }
+      
+      result.error = error.message;
+      result.assertion = error.assertion || null;
+      if (error.blocked) {
+        result.blocked = error.blocked;
+      }
+      
+      // Blocked steps fail loudly, even when optional
+      if (step.optional && !error.blocked) {
+        // Optional steps log and move on instead of failing the run
+        result.status = 'skipped';
+        this.logWarn(`Optional step '${action.name}' skipped: ${error.message}`);
+      } else {
+        result.status = 'failed';
+        
+        // Parents of a failed nested step share its error and its screenshot
+        if (this.options.screenshotOnFailure && this.captureScreenshot && !error.screenshotTaken) {
+          error.screenshotTaken = true;
+          await this.captureFailureScreenshot(path, error);
+        }
+        
+        // Soft assertions are recorded but do not stop the run
+        if (!(step.soft && error.assertion)) {
+          result.duration = Date.now() - result.startedAt;
+          throw error;
+        }
+      }
+    }
+    
+    result.duration = Date.now() - result.startedAt;
+    
+    this.emit('onStepComplete', {
+      scenario: this.currentScenario,
+      step: this.currentStep,
+      path,
+      totalSteps: this.totalSteps,
+      action,
+      status: result.status,
+      error: result.error,
+      assertion: result.assertion,
+      captured: result.captured,
+      details: result.details,
+      healed: result.healed || null,
+      duration: result.duration
+    });
+    
+    return result;
+  }
+  
+  async executeStep(step, params, path) {
+    const handler = this.stepHandlers[step.type];
+    if (!handler) {
+      throw new Error(`Unknown step type: ${step.type}`);
+    }
+    
+    this.logDebug(`Executing step ${path}/${this.totalSteps}:`, step);
+    return handler(step, params, path);
+  }
+  
+  // Honors pause/stop requests between steps
+  async checkpoint() {
+    while (this.isPaused && !this.shouldStop) {
+      await this.sleep(100);
+    }
+    
+    if (this.shouldStop) {
+      const error = new Error('Scenario stopped');
+      error.stopped = true;
+      throw error;
+    }
+  }
+  
+  resolveParameters(scenario, parameters) {
+    const resolved = {};
+    
+    for (const [paramName, config] of Object.entries(scenario.parameters || {})) {
+      let value = parameters[paramName];
+      
+      if (value === undefined || value === '') {
+        value = config.default;
+      }
+      
+      if (config.required && (value === undefined || value === '')) {
+        throw new Error(`Missing required parameter: ${paramName}`);
+      }
+      
+      if (config.type === 'number' && value !== undefined) {
+        value = Number(value);
+        if (isNaN(value)) {
+          throw new Error(`Parameter '${paramName}' must be a number`);
+        }
+        if (config.min !== undefined) value = Math.max(config.min, value);
+        if (config.max !== undefined) value = Math.min(config.max, value);
+      }
+      
+      resolved[paramName] = value;
+    }
+    
+    // Keep extra parameters the caller passed through
+    return { ...parameters, ...resolved };
+  }
+  
+  /**
+   * RESUME AFTER NAVIGATION
+   */
+  
+  // While resuming: 'done' for steps that ran before the navigation,
+  // 'navigated' for the step that caused it, 'enter' for its ancestors
+  getResumeAction(path) {
+    if (!this.resumePath) return null;
+    if (path === this.resumePath) return 'navigated';
+    if (this.resumePath.startsWith(`${path}.`) || this.resumePath.startsWith(`${path}[`)) return 'enter';
+    return 'done';
+  }
+  
+  // Zero-based loop iteration the navigation happened in, or -1
+  getResumeIteration(path) {
+    if (!this.resumePath) return -1;
+    
+    const match = this.resumePath.slice(path.length).match(/^\[(\d+)\]/);
+    return this.resumePath.startsWith(path) && match ? Number(match[1]) - 1 : -1;
+  }
+  
+  completeNavigatedStep(path) {
+    this.resumePath = null;
+    this.currentPath = path;
+    
+    const result = this.findResult(path);
+    if (!result) return;
+    
+    if (result.status === 'running') {
+      result.status = 'passed';
+      result.duration = Date.now() - result.startedAt;
+    }
+    result.details = { ...result.details, navigated: true };
+    
+    this.emit('onStepComplete', {
+      scenario: this.currentScenario,
+      step: this.currentStep,
+      path,
+      totalSteps: this.totalSteps,
+      action: { name: result.name, type: result.type },
+      status: result.status,
+      error: result.error,
+      assertion: result.assertion,
+      captured: result.captured,
+      details: result.details,
+      healed: result.healed || null,
+      duration: result.duration
+    });
+  }
+  
+  findResult(path) {
+    return this.stepResults.find(result => result.path === path) || null;
+  }
+  
+  // What the background needs to resume this run on the next page. Synced on
+  // every event, so it leaves out the bulky request and page error detail
+  // (getRunDetail) and, unless asked for, the scenario definition.
+  getCheckpoint(options = {}) {
+    const checkpoint = {
+      runId: this.runId,
+      state: this.state,
+      mode: this.executionMode,
+      seed: this.seed,
+      randomState: this.humanSim ? this.humanSim.getRandomState() : null,
+      parameters: this.currentParameters,
+      variables: this.variables,
+      results: this.stepResults.map(({ requests, droppedRequests, pageErrors, ...result }) => result),
+      path: this.currentPath,
+      currentStep: this.currentStep,
+      totalSteps: this.totalSteps,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      error: this.lastError ? this.lastError.message : null
+    };
+    
+    if (options.includeScenario) {
+      checkpoint.scenario = this.currentDefinition;
+    }
+    
+    return checkpoint;
+  }
+  
+  // Requests and page errors recorded on this page, for the run report
+  getRunDetail() {
+    const results = this.stepResults
+      .filter(result => result.requests || result.pageErrors)
+      .map(result => ({
+        path: result.path,
+        requests: result.requests || [],
+        droppedRequests: result.droppedRequests || 0,
+        pageErrors: result.pageErrors || []
+      }));
+    
+    return { runId: this.runId, results, pageErrors: this.pageErrors };
+  }
+  
+  /**
+   * PAGE ERRORS AND NETWORK
+   */
+  
+  async startPageMonitor() {
+    if (!this.pageMonitor) return;
+    
+    this.pageMonitor.on('pageError', this.handlePageError);
+    this.pageMonitor.on('request', this.handleRequest);
+    await this.pageMonitor.start();
+  }
+  
+  stopPageMonitor() {
+    if (!this.pageMonitor) return;
+    
+    this.pageMonitor.off('pageError', this.handlePageError);
+    this.pageMonitor.off('request', this.handleRequest);
+    this.pageMonitor.stop();
+  }
+  
+  // Errors belong to the step in flight, or to the last one that ran when
+  // they arrive between steps
+  handlePageError(pageError) {
+    if (!this.isRunning || this.pageErrors.length >= this.options.maxPageErrors) return;
+    
+    const path = this.currentPath;
+    const result = path ? this.findResult(path) : null;
+    
+    this.pageErrors.push({ ...pageError, path });
+    if (result) {
+      result.pageErrors = [...(result.pageErrors || []), pageError];
+    }
+    
+    this.emit('onPageError', {
+      scenario: this.currentScenario,
+      step: this.currentStep,
+      path,
+      error: pageError
+    });
+  }
+  
+  // fetch/XHR calls are logged on the step that was active when they finished
+  handleRequest(request) {
+    if (!this.isRunning || !this.currentPath) return;
+    
+    const result = this.findResult(this.currentPath);
+    if (!result) return;
+    
+    result.requests = result.requests || [];
+    if (result.requests.length >= this.options.maxRequestsPerStep) {
+      result.droppedRequests = (result.droppedRequests || 0) + 1;
+      return;
+    }
+    
+    const { id, ...entry } = request;
+    result.requests.push(entry);
+  }
+  
+  // With the scenario's failOnPageError option, any error since the last
+  // check fails the current step
+  checkPageErrors() {
+    const fresh = this.pageErrors.slice(this.checkedPageErrors);
+    this.checkedPageErrors = this.pageErrors.length;
+    
+    const options = this.currentDefinition.options || {};
+    if (!options.failOnPageError || fresh.length === 0) return;
+    
+    const more = fresh.length > 1 ? ` (+${fresh.length - 1} more)` : '';
+    const error = new Error(`Page error: ${fresh[0].message}${more}`);
+    error.pageError = fresh[0];
+    throw error;
+  }
+  
+  /**
+   * TEMPLATES
+   */
+  
+  // Captured variables shadow parameters of the same name
+  getTemplateContext(params) {
+    return { ...params, ...this.variables };
+  }
+  
+  resolveStepTemplates(step, params) {
+    const context = this.getTemplateContext(params);
+    const resolved = { ...step };
+    
+    for (const field of this.templateFields) {
+      if (resolved[field] !== undefined) {
+        // In a regex source a captured "$19.99" or "(2) pack" must match literally
+        const escape = this.isRegexField(step, field) ? (value) => this.escapeRegex(String(value)) : null;
+        resolved[field] = this.interpolate(resolved[field], context, escape);
+      }
+    }
+    
+    return resolved;
+  }
+  
+  isRegexField(step, field) {
+    return field === 'pattern' || (field === 'expected' && step.match === 'regex');
+  }
+  
+  escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  }
+  
+  // A value that is exactly one template keeps the variable's type
+  // (e.g. a captured price stays a number); otherwise the result is a string.
+  // escape, when given, converts each substituted value instead.
+  interpolate(value, context, escape = null) {
+    if (Array.isArray(value)) {
+      return value.map(item => this.interpolate(item, context, escape));
+    }
+    
+    if (value !== null && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [key, this.interpolate(item, context, escape)])
+      );
+    }
+    
+    if (typeof value !== 'string') return value;
+    
+    const whole = value.match(/^\{\{\s*(\w+)\s*\}\}$/);
+    if (whole) {
+      const resolved = this.lookupTemplateValue(whole[1], context);
+      return escape ? escape(resolved) : resolved;
+    }
+    
+    return value.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+      const resolved = this.lookupTemplateValue(key, context);
+      return escape ? escape(resolved) : String(resolved);
+    });
+  }
+  
+  lookupTemplateValue(key, context) {
+    if (!(key in context) || context[key] === undefined) {
+      throw new Error(`Unknown template variable '{{${key}}}'`);
+    }
+    
+    return context[key];
+  }
+  
+  /**
+   * RUN CONTROL
+   */
+  
+  pause() {
+    if (!this.isRunning || this.isPaused) return;
+    
+    this.isPaused = true;
+    this.state = 'paused';
+    this.logDebug('Scenario paused');
+  }
+  
+  resume() {
+    if (!this.isRunning || !this.isPaused) return;
+    
+    this.isPaused = false;
+    this.state = 'running';
+    this.logDebug('Scenario resumed');
+  }
+  
+  stop() {
+    if (!this.isRunning) return;
+    
+    this.shouldStop = true;
+    this.isPaused = false;
+    this.logDebug('Stop requested');
+  }
+  
+  getStatus() {
+    const endTime = this.isRunning ? Date.now() : (this.endTime || Date.now());
+    
+    return {
+      state: this.state,
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      currentScenario: this.currentScenario,
+      parameters: this.currentParameters,
+      mode: this.executionMode,
+      seed: this.seed,
+      currentStep: this.currentStep,
+      totalSteps: this.totalSteps,
+      duration: this.startTime ? endTime - this.startTime : 0,
+      error: this.lastError ? this.lastError.message : null,
+      summary: this.getResultSummary(),
+      variables: { ...this.variables }
+    };
+  }
+  
+  getResults() {
+    return this.stepResults.map(result => ({ ...result }));
+  }
+  
+  getResultSummary() {
+    const summary = { passed: 0, failed: 0, skipped: 0, assertions: 0 };
+    
+    for (const result of this.stepResults) {
+      if (result.status in summary) summary[result.status]++;
+      if (result.assertion) summary.assertions++;
+    }
+    
+    return summary;
+  }
+  
+  /**
+   * STEP HANDLERS
+   */
+  
+  initStepHandlers() {
+    return {
+      click: (step) => this.handleClick(step),
+      type: (step, params) => this.handleType(step, params),
+      scroll: (step) => this.handleScroll(step),
+      navigate: (step) => this.handleNavigate(step),
+      wait: (step) => this.handleWait(step),
+      waitFor: (step, params) => this.handleWaitFor(step, params),
+      assert: (step) => this.handleAssert(step),
+      capture: (step) => this.handleCapture(step),
+      screenshot: (step, params, path) => this.handleScreenshot(step, path),
+      if: (step, params, path) => this.handleIf(step, params, path),
+      repeat: (step, params, path) => this.handleRepeat(step, params, path),
+      forEach: (step, params, path) => this.handleForEach(step, params, path),
+      call: (step, params, path) => this.handleCall(step, params, path)
+    };
+  }
+  
+  async handleClick(step) {
+    let retries = 3;
+    let lastError;
+    let clickedAt;
+    let contentWatch = null;
+    const contentOptions = this.getContentChangeOptions(step.expectsContentChange);
+    
+    if (step.expectsNavigation) {
+      await this.waitForPageLoadSlot(window.location.href);
+    }
+    
+    while (retries > 0) {
+      try {
+        const element = await this.findElement(step);
+        
+        if (this.safetyGuard) {
+          this.safetyGuard.assertClickAllowed(element.element);
+        }
+        
+        if (!this.pageDetector.isElementVisible(element.element)) {
+          throw new Error('Element is not visible');
+        }
+        
+        if (step.scrollToElement !== false) {
+          await this.getDriver().scrollToElement(element.element);
+          await this.pace(500); // Wait for scroll to complete
+        }
+        
+        // Observe before clicking so mutations that start immediately count,
+        // but only from the click on: the mouse move and hover dwell before it
+        // can change hover classes on their own
+        if (contentOptions) {
+          contentWatch = this.observeContentChange(await this.resolveContentContainer(contentOptions), false);
+        }
+        
+        clickedAt = Date.now();
+        await this.getDriver().humanClick(element.element, {
+          doubleClick: step.doubleClick || false,
+          button: step.button || 'left',
+          beforeClick: () => {
+            clickedAt = Date.now();
+            if (contentWatch) contentWatch.arm();
+          }
+        });
+        
+        // Handle post-click actions
+        if (step.expectsNavigation) {
+          await this.waitForNavigation();
+        } else if (!contentOptions && !step.expectsNetworkIdle) {
+          await this.pace(500); // Small delay for UI updates
+        }
+        
+        break; // Success, exit retry loop
+      
+      } catch (error) {
+        // Retrying cannot change the safety guard's verdict
+        if (error.blocked) {
+          throw error;
+        }
+        
+        lastError = error;
+        retries--;
+        
+        if (contentWatch) {
+          contentWatch.disconnect();
+        }
+        
+        if (retries > 0) {
+          this.logWarn(`Click failed, retrying (${3 - retries}/3): ${error.message}`);
+          await this.sleep(1000); // Wait before retry
+        }
+      }
+    }
+    
+    if (retries === 0) {
+      throw lastError;
+    }
+    
+    // Outside the retry loop: clicking again could submit twice
+    const details = {};
+    
+    if (contentWatch) {
+      details.contentChange = await this.waitForContentChange(contentOptions, contentWatch);
+    }
+    
+    if (step.expectsNetworkIdle) {
+      await this.waitForNetworkIdle(step.expectsNetworkIdle === true ? {} : step.expectsNetworkIdle, clickedAt);
+    }
+    
+    return contentWatch ? { details } : undefined;
+  }
+  
+  async handleType(step, params) {
+    const text = step.parameter ? params[step.parameter] : step.text;
+    if (text === undefined || text === null) {
+      throw new Error(`No text to type for step: ${JSON.stringify(step)}`);
+    }
+    
+    const element = await this.findElement(step);
+    
+    if (step.pressEnter && this.safetyGuard) {
+      this.safetyGuard.assertSubmitAllowed(element.element);
+    }
+    
+    if (step.expectsNavigation) {
+      await this.waitForPageLoadSlot(window.location.href);
+    }
+    
+    if (step.scrollToElement !== false) {
+      await this.getDriver().scrollToElement(element.element);
+    }
+    
+    await this.getDriver().moveMouseToElement(element.element);
+    await this.getDriver().humanType(element.element, String(text), {
+      clearFirst: step.clearFirst !== false
+    });
+    
+    if (step.pressEnter) {
+      await this.getDriver().simulateKeyPress('Enter', element.element);
+    }
+    
+    if (step.expectsNavigation) {
+      await this.waitForNavigation();
+    }
+  }
+  
+  async handleScroll(step) {
+    if (step.elementName || step.selector) {
+      const element = await this.findElement(step);
+      await this.getDriver().scrollToElement(element.element, { speed: step.speed });
+      return;
+    }
+    
+    await this.getDriver().humanScroll({
+      direction: step.direction || 'down',
+      distance: step.distance || 300,
+      speed: step.speed || 'medium'
+    });
+  }
+  
+  async handleNavigate(step) {
+    if (!step.url) {
+      throw new Error('Navigate step requires a url');
+    }
+    
+    const target = new URL(step.url, window.location.href).href;
+    if (target === window.location.href) {
+      return;
+    }
+    
+    await this.waitForPageLoadSlot(target);
+    window.location.href = target;
+    await this.waitForNavigation();
+  }
+  
+  // Polls a condition (see initConditions) until it holds or times out
+  async handleWaitFor(step, params) {
+    const timeout = step.timeout !== undefined ? step.timeout : this.options.stepTimeout;
+    const interval = step.interval || 100;
+    const startTime = Date.now();
+    
+    while (!(await this.evaluateCondition(step.condition, params))) {
+      if (Date.now() - startTime >= timeout) {
+        throw new Error(`Timed out after ${timeout}ms waiting for ${step.condition.not ? 'not ' : ''}${step.condition.type}`);
+      }
+      
+      await this.checkpoint();
+      await this.sleep(interval);
+    }
+    
+    return { details: { condition: step.condition.type, waited: Date.now() - startTime } };
+  }
+  
+  // A min/max range is human pacing, which fast mode skips; an explicit
+  // duration is assumed to be needed by the page and is always waited out
+  async handleWait(step) {
+    if (step.duration === undefined && this.executionMode === 'fast') return;
+    
+    const duration = step.duration !== undefined ?
+      step.duration :
+      this.randomBetween(step.min || 500, step.max || 1500);
+    
+    const endTime = Date.now() + duration;
+    
+    // Sleep in slices so stop requests are not delayed by long waits
+    while (Date.now() < endTime) {
+      if (this.shouldStop) break;
+      await this.sleep(Math.min(100, endTime - Date.now()));
+    }
+  }
+  
+  /**
+   * ASSERTIONS
+   */
+  
+  initAssertions() {
+    return {
+      pageType: (step) => this.assertPageType(step),
+      text: (step) => this.assertText(step),
+      canAddToCart: (step) => this.assertCanAddToCart(step),
+      resultCount: (step) => this.assertResultCount(step),
+      url: (step) => this.assertUrl(step),
+      contentChange: (step) => this.assertContentChange(step)
+    };
+  }
+  
+  async handleAssert(step) {
+    const check = this.assertions[step.assert];
+    if (!check) {
+      throw new Error(`Unknown assertion: ${step.assert}`);
+    }
+    
+    const outcome = await check(step);
+    const assertion = {
+      kind: step.assert,
+      passed: outcome.passed,
+      expected: outcome.expected,
+      actual: outcome.actual,
+      message: step.message || outcome.message
+    };
+    
+    if (!assertion.passed) {
+      const error = new Error(`Assertion failed: ${assertion.message}`);
+      error.assertion = assertion;
+      throw error;
+    }
+    
+    this.logDebug(`Assertion passed: ${assertion.message}`);
+    return { assertion };
+  }
+  
+  async assertPageType(step) {
+    const pageInfo = await this.pageDetector.detectCurrentPage({ force: true });
+    
+    return {
+      passed: pageInfo.type === step.expected,
+      expected: step.expected,
+      actual: pageInfo.type,
+      message: `page type is '${step.expected}' (detected '${pageInfo.type}')`
+    };
+  }
+  
+  async assertText(step) {
+    const match = step.match || 'contains';
+    let actual = null;
+    
+    try {
+      const element = await this.findElement(step);
+      actual = (element.element.textContent || '').trim().replace(/\s+/g, ' ');
+    } catch (error) {
+      return {
+        passed: false,
+        expected: step.expected,
+        actual: null,
+        message: `element for text check not found (${error.message})`
+      };
+    }
+    
+    const matchers = {
+      contains: () => actual.toLowerCase().includes(String(step.expected).toLowerCase()),
+      equals: () => actual === String(step.expected),
+      regex: () => new RegExp(step.expected, 'i').test(actual)
+    };
+    
+    return {
+      passed: matchers[match](),
+      expected: step.expected,
+      actual,
+      message: `text ${match} '${step.expected}' (got '${this.truncate(actual, 80)}')`
+    };
+  }
+  
+  async assertCanAddToCart(step) {
+    const expected = step.expected !== undefined ? step.expected : true;
+    const productInfo = await this.pageDetector.analyzeProductInfo();
+    
+    return {
+      passed: productInfo.canAddToCart === expected,
+      expected,
+      actual: productInfo.canAddToCart,
+      message: `canAddToCart is ${expected} (got ${productInfo.canAddToCart})`
+    };
+  }
+  
+  async assertResultCount(step) {
+    const searchInfo = await this.pageDetector.analyzeSearchResults();
+    const actual = searchInfo.resultCount;
+    const min = step.min !== undefined ? step.min : 0;
+    const max = step.max !== undefined ? step.max : Infinity;
+    
+    return {
+      passed: actual >= min && actual <= max,
+      expected: { min, max: max === Infinity ? null : max },
+      actual,
+      message: `result count between ${min} and ${max === Infinity ? '∞' : max} (got ${actual})`
+    };
+  }
+  
+  async assertUrl(step) {
+    const actual = window.location.href;
+    const pattern = new RegExp(step.pattern, 'i');
+    
+    return {
+      passed: pattern.test(actual),
+      expected: step.pattern,
+      actual,
+      message: `URL matches /${step.pattern}/ (got ${actual})`
+    };
+  }
+  
+  // Checks the summary of the last expectsContentChange click
+  assertContentChange(step) {
+    if (!this.lastContentChange) {
+      throw new Error("No content change recorded yet; use 'expectsContentChange' on an earlier click");
+    }
+    
+    const metric = step.metric || 'nodesAdded';
+    const actual = this.lastContentChange[metric];
+    const min = step.min !== undefined ? step.min : 1;
+    const max = step.max !== undefined ? step.max : Infinity;
+    
+    return {
+      passed: actual >= min && actual <= max,
+      expected: { metric, min, max: max === Infinity ? null : max },
+      actual,
+      message: `${metric} between ${min} and ${max === Infinity ? '∞' : max} (got ${actual})`
+    };
+  }
+  
+  /**
+   * SCREENSHOTS
+   */
+  
+  async handleScreenshot(step, path) {
+    const screenshot = await this.takeScreenshot('checkpoint', path, {
+      label: step.label || step.name,
+      hideOverlays: step.hideOverlays
+    });
+    
+    return { details: { screenshot: screenshot.id } };
+  }
   
-  // Try elementName first (page-specific element)
-  if (step.elementName) {
+  async takeScreenshot(reason, path, options = {}) {
+    if (!this.captureScreenshot) {
+      throw new Error('Screenshots are not available in this context');
+    }
+    
+    return this.captureScreenshot({
+      runId: this.runId,
+      reason,
+      path,
+      label: options.label || null,
+      hideOverlays: options.hideOverlays !== undefined ?
+        options.hideOverlays : this.options.hideOverlaysInScreenshots
+    });
+  }
+  
+  // Never lets a capture problem replace the step's own error; the reason is
+  // kept on the step so the report says why its screenshot is missing
+  async captureFailureScreenshot(path, error) {
+    try {
+      await this.takeScreenshot('failure', path, { label: error.message });
+    } catch (captureError) {
+      this.logWarn(`Failure screenshot not captured: ${captureError.message}`);
+      
+      const result = this.findResult(path);
+      if (result) {
+        result.screenshotError = captureError.message;
+      }
+    }
+  }
+  
+  /**
+   * CONTROL FLOW
+   */
+  
+  async handleIf(step, params, path) {
+    const result = this.findResult(path);
+    
+    // A resumed run must take the branch it was in before the navigation
+    const matched = this.getResumeAction(path) === 'enter' && result?.details ?
+      result.details.matched :
+      await this.evaluateCondition(step.condition, params);
+    
+    const branch = matched ? 'then' : 'else';
+    const details = { condition: step.condition.type, matched, branch };
+    if (result) result.details = details;
+    
+    this.logDebug(`Condition '${step.condition.type}' ${matched ? 'met' : 'not met'}, running ${branch} branch`);
+    await this.runSteps(step[branch] || [], params, path);
+    
+    return { details };
+  }
+  
+  async handleRepeat(step, params, path) {
+    const times = Number(step.times);
+    if (!Number.isInteger(times) || times < 0) {
+      throw new Error(`Repeat count must be a non-negative whole number, got '${step.times}'`);
+    }
+    
+    const limit = Math.min(times, this.options.maxIterations);
+    const resumeAt = this.getResumeIteration(path);
+    let iterations = Math.max(resumeAt, 0);
+    
+    for (let i = iterations; i < limit; i++) {
+      if (i !== resumeAt && step.until && await this.evaluateCondition(step.until, params)) {
+        break;
+      }
+      
+      await this.runSteps(step.steps, params, `${path}[${i + 1}]`);
+      iterations++;
+    }
+    
+    return { details: this.describeIterations(iterations, times, path) };
+  }
+  
+  // Iterates a literal list, an array parameter or the visible matches of an
+  // element target; for elements the match is the lookup scope of the body
+  async handleForEach(step, params, path) {
+    const as = step.as || 'item';
+    const source = this.getForEachSource(step, params);
+    const resumeAt = this.getResumeIteration(path);
+    const requested = Math.min(source.count(), step.limit || Infinity);
+    let iterations = Math.max(resumeAt, 0);
+    
+    // Elements are counted on the current page; a resumed iteration keeps the
+    // loop going even if this page has fewer matches than the original one
+    const count = Math.max(Math.min(requested, this.options.maxIterations), resumeAt + 1);
+    
+    for (let i = iterations; i < count; i++) {
+      // A resumed iteration keeps its variable; its element belonged to the old page
+      const item = i === resumeAt ? null : source.get(i);
+      if (item === undefined) {
+        this.logWarn(`forEach item ${i + 1} is no longer available, ending loop`);
+        break;
+      }
+      
+      const isElement = item instanceof Element;
+      if (item !== null) {
+        this.variables[as] = isElement ? item.textContent.trim().replace(/\s+/g, ' ') : item;
+      }
+      
+      if (isElement) this.scopeStack.push(item);
+      try {
+        await this.runSteps(step.steps, params, `${path}[${i + 1}]`);
+      } finally {
+        if (isElement) this.scopeStack.pop();
+      }
+      
+      iterations++;
+    }
+    
+    return { details: this.describeIterations(iterations, requested, path) };
+  }
+  
+  // Loops stop at maxIterations; a capped loop says how many iterations it
+  // skipped instead of passing as if all of them ran
+  describeIterations(iterations, requested, path) {
+    const max = this.options.maxIterations;
+    if (iterations < max || requested <= max) {
+      return { iterations };
+    }
+    
+    this.logWarn(`Loop at step ${path} stopped at maxIterations (${max}) of ${requested} requested iterations`);
+    return { iterations, requested, truncated: true };
+  }
+  
+  getForEachSource(step, params) {
+    if (step.items !== undefined || step.parameter !== undefined) {
+      const items = step.items !== undefined ? step.items : params[step.parameter];
+      const list = Array.isArray(items) ? items : [items].filter(item => item !== undefined && item !== '');
+      
+      return { count: () => list.length, get: (index) => list[index] };
+    }
+    
+    const collect = () => this.findAllElements(step);
+    return { count: () => collect().length, get: (index) => collect()[index] };
+  }
+  
+  async handleCall(step, params, path) {
+    const target = this.getScenario(step.scenario);
+    
+    if (this.callStack.includes(target.name)) {
+      throw new Error(`Recursive call to scenario '${target.name}' (${this.callStack.join(' → ')})`);
+    }
+    if (this.callStack.length >= this.options.maxCallDepth) {
+      throw new Error(`Scenario call depth exceeds ${this.options.maxCallDepth}`);
+    }
+    
+    const callParams = this.resolveParameters(target, step.arguments || {});
+    
+    this.callStack.push(target.name);
     try {
-      return await this.pageDetector.getElement(step.elementName);
-    } catch (error) {
-      this.logWarn(`Element '${step.elementName}' not found, trying fallback selector`);
+      await this.runSteps(target.steps, callParams, path);
+    } finally {
+      this.callStack.pop();
+    }
+    
+    return { details: { scenario: target.name, parameters: callParams } };
+  }
+  
+  /**
+   * CONDITIONS
+   */
+  
+  // Predicates shared by if, repeat/until and waitFor; condition plugins
+  // (content/plugins/) add more through registerCondition
+  initConditions() {
+    return {
+      pageType: async (condition) => {
+        const pageInfo = await this.pageDetector.detectCurrentPage({ force: true });
+        return pageInfo.type === condition.expected;
+      },
+      elementPresent: async (condition) => {
+        try {
+          await this.findElement(condition, condition.timeout || 1000);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      },
+      stockStatus: async (condition) => {
+        const productInfo = await this.pageDetector.analyzeProductInfo();
+        return productInfo.stockStatus === condition.expected;
+      },
+      resultCount: async (condition) => {
+        const { resultCount } = await this.pageDetector.analyzeSearchResults();
+        const min = condition.min !== undefined ? condition.min : 0;
+        const max = condition.max !== undefined ? condition.max : Infinity;
+        return resultCount >= min && resultCount <= max;
+      },
+      networkIdle: (condition) => {
+        this.requirePageMonitor('networkIdle');
+        return this.pageMonitor.isNetworkIdle(condition.idleTime || this.options.networkIdleTime);
+      },
+      elementVisible: (condition) => {
+        return this.queryTargetElements(condition).some(element => this.pageDetector.isElementVisible(element));
+      },
+      elementHidden: (condition) => {
+        return !this.queryTargetElements(condition).some(element => this.pageDetector.isElementVisible(element));
+      },
+      elementEnabled: (condition) => {
+        return this.queryTargetElements(condition).some(element =>
+          this.pageDetector.isElementVisible(element) && this.isElementEnabled(element)
+        );
+      },
+      elementCount: (condition) => {
+        const count = this.queryTargetElements(condition)
+          .filter(element => this.pageDetector.isElementVisible(element)).length;
+        const min = condition.min !== undefined ? condition.min : 1;
+        const max = condition.max !== undefined ? condition.max : Infinity;
+        return count >= min && count <= max;
+      },
+      textPresent: (condition) => {
+        const normalize = (text) => (text || '').replace(/\s+/g, ' ');
+        const containers = condition.elementName || condition.selector ?
+          this.queryTargetElements(condition) : [document.body];
+        return containers.some(element => normalize(element.textContent).includes(normalize(condition.text)));
+      },
+      urlMatches: (condition) => {
+        return new RegExp(condition.pattern, 'i').test(window.location.href);
+      }
+    };
+  }
+  
+  // Extension point for custom waitFor/if/until predicates. The content script
+  // calls it for every condition queued on window.speedwayPlugins by a plugin
+  // content script (see content/plugins/cart-conditions.js). schema.fields
+  // declares the condition's own fields for validation; without it any fields
+  // are accepted.
+  registerCondition(name, predicate, schema = {}) {
+    if (!/^[A-Za-z][\w-]*$/.test(name)) {
+      throw new Error(`Invalid condition name: ${name}`);
+    }
+    if (this.builtinConditions.has(name)) {
+      throw new Error(`Cannot replace built-in condition: ${name}`);
+    }
+    if (typeof predicate !== 'function') {
+      throw new Error(`Condition '${name}' needs a predicate function`);
+    }
+    
+    this.conditions[name] = (condition) => predicate(condition, this);
+    
+    if (this.validator) {
+      this.validator.registerCondition(name, schema);
+    }
+    
+    this.logDebug(`Registered condition: ${name}`);
+  }
+  
+  unregisterCondition(name) {
+    if (!this.conditions[name]) {
+      throw new Error(`Unknown condition: ${name}`);
+    }
+    if (this.builtinConditions.has(name)) {
+      throw new Error(`Cannot remove built-in condition: ${name}`);
+    }
+    
+    delete this.conditions[name];
+    
+    if (this.validator) {
+      this.validator.unregisterCondition(name);
+    }
+  }
+  
+  async evaluateCondition(condition, params) {
+    const resolved = this.resolveStepTemplates(condition, params);
+    const check = this.conditions[resolved.type];
+    if (!check) {
+      throw new Error(`Unknown condition: ${resolved.type}`);
+    }
+    
+    const result = Boolean(await check(resolved));
+    return resolved.not ? !result : result;
+  }
+  
+  /**
+   * VARIABLE CAPTURE
+   */
+  
+  initCaptures() {
+    return {
+      price: async () => (await this.pageDetector.analyzeProductInfo()).price,
+      partNumber: () => this.pageDetector.extractPartNumber(),
+      stockStatus: async () => (await this.pageDetector.analyzeProductInfo()).stockStatus,
+      firstResultTitle: () => this.captureFirstResultTitle(),
+      resultCount: async () => (await this.pageDetector.analyzeSearchResults()).resultCount,
+      text: (step) => this.captureElementValue(step),
+      url: () => window.location.href
+    };
+  }
+  
+  async handleCapture(step) {
+    const capture = this.captures[step.capture];
+    if (!capture) {
+      throw new Error(`Unknown capture: ${step.capture}`);
+    }
+    
+    let value = await capture(step);
+    
+    if (typeof value === 'string') {
+      value = value.trim().replace(/\s+/g, ' ');
+    }
+    
+    if (value === null || value === undefined || value === '') {
+      throw new Error(`Nothing to capture for '${step.capture}' into '${step.as}'`);
+    }
+    
+    this.variables[step.as] = value;
+    this.logDebug(`Captured ${step.as} =`, value);
+    
+    return { captured: { [step.as]: value } };
+  }
+  
+  captureFirstResultTitle() {
+    const tileSelectors = this.pageDetector.elementMaps.search?.resultItems || [];
+    
+    for (const selector of tileSelectors) {
+      const tile = this.pageDetector.queryAll(selector)
+        .find(element => this.pageDetector.isElementVisible(element));
+      if (!tile) continue;
+      
+      const title = tile.querySelector(
+        '.product-title, .product-name, [data-testid="product-title"], h2, h3, h4, a'
+      );
+      return (title || tile).textContent;
+    }
+    
+    return null;
+  }
+  
+  async captureElementValue(step) {
+    const { element } = await this.findElement(step);
+    
+    if (step.attribute) {
+      return element.getAttribute(step.attribute);
+    }
+    
+    if ('value' in element && ['input', 'textarea', 'select'].includes(element.tagName.toLowerCase())) {
+      return element.value;
+    }
+    
+    return element.textContent;
+  }
+  
+  /**
+   * ELEMENT FINDING AND NAVIGATION
+   */
+  
+  async findElement(step, timeout = null) {
+    timeout = timeout || this.options.stepTimeout;
+    
+    // Inside a forEach over elements, selectors resolve against the current item first
+    const scope = this.scopeStack[this.scopeStack.length - 1];
+    if (scope && step.selector) {
+      const scoped = await this.findWithinScope(scope, step.selector, timeout);
+      if (scoped) return scoped;
+    }
+    
+    // Try elementName first (page-specific element)
+    if (step.elementName) {
+      try {
+        return await this.pageDetector.getElement(step.elementName, step.pageType);
+      } catch (error) {
+        this.logWarn(`Element '${step.elementName}' not found, trying fallback selector`);
+      }
+    }
+    
+    // Fallback to direct selector with multiple attempts
+    if (step.selector) {
+      const selectors = Array.isArray(step.selector) ? step.selector : [step.selector];
+      
+      for (const selector of selectors) {
+        try {
+          const element = await this.pageDetector.waitForElement(selector, timeout / selectors.length);
+          if (element && this.pageDetector.isElementVisible(element)) {
+            return {
+              element: element,
+              selector: selector,
+              visible: true
+            };
+          }
+        } catch (error) {
+          console.debug(`Selector failed: ${this.pageDetector.describeSelector(selector)}`, error.message);
+        }
+      }
+    }
+    
+    // Last resort: the element that best resembles what this name matched before
+    if (step.elementName && this.options.selfHealing) {
+      const healed = this.pageDetector.healElement(step.elementName, step.pageType);
+      if (healed) {
+        this.recordHealing(step, healed);
+        return healed;
+      }
+    }
+    
+    throw new Error(`No element found for step: ${JSON.stringify(step)}`);
+  }
+  
+  // Flags the current step so the report can suggest updating the element map
+  recordHealing(step, healed) {
+    const healing = {
+      elementName: step.elementName,
+      pageType: step.pageType || this.pageDetector.currentPage?.type || null,
+      confidence: healed.confidence,
+      previousSelector: healed.previousSelector,
+      suggestedSelector: healed.suggestedSelector
+    };
+    
+    this.logWarn(`Element '${step.elementName}' healed (${Math.round(healed.confidence * 100)}% match); ` +
+      `consider updating its selector to ${healed.suggestedSelector}`);
+    
+    const result = this.currentPath ? this.findResult(this.currentPath) : null;
+    if (result) {
+      result.healed = healing;
+    }
+  }
+  
+  async findWithinScope(scope, selector, timeout) {
+    const selectors = Array.isArray(selector) ? selector : [selector];
+    const deadline = Date.now() + Math.min(timeout, 2000);
+    
+    do {
+      if (!scope.isConnected) return null;
+      
+      for (const candidate of selectors) {
+        try {
+          const element = candidate === ':scope' ? scope :
+            this.pageDetector.queryAll(candidate, scope).find(match => this.pageDetector.isElementVisible(match));
+          if (element && this.pageDetector.isElementVisible(element)) {
+            return { element, selector: candidate, visible: true };
+          }
+        } catch (error) {
+          // Invalid selector, continue
+        }
+      }
+      
+      await this.sleep(100);
+    } while (Date.now() < deadline);
+    
+    return null;
+  }
+  
+  // Every visible match for the first selector of a target that matches anything
+  findAllElements(step) {
+    let selectors = step.selector;
+    
+    if (!selectors && step.elementName) {
+      const pageType = step.pageType || this.pageDetector.currentPage?.type;
+      selectors = this.pageDetector.elementMaps[pageType]?.[step.elementName];
+      if (!selectors) {
+        throw new Error(`Element '${step.elementName}' is not mapped for ${pageType} pages`);
+      }
+    }
+    
+    for (const selector of Array.isArray(selectors) ? selectors : [selectors]) {
+      try {
+        const matches = this.pageDetector.queryAll(selector)
+          .filter(element => this.pageDetector.isElementVisible(element));
+        if (matches.length > 0) return matches;
+      } catch (error) {
+        // Invalid selector, continue
+      }
     }
+    
+    return [];
   }
   
-  // Fallback to direct selector with multiple attempts
-  if (step.selector) {
-    const selectors = Array.isArray(step.selector) ? step.selector : [step.selector];
+  // Every element a target matches right now, visible or not; conditions are
+  // polled, so nothing here waits
+  queryTargetElements(target) {
+    const scope = this.scopeStack[this.scopeStack.length - 1];
+    const selectors = [];
+    
+    if (target.elementName) {
+      const pageType = target.pageType || this.pageDetector.currentPage?.type;
+      const mapped = this.pageDetector.elementMaps[pageType]?.[target.elementName];
+      if (mapped) selectors.push(...(Array.isArray(mapped) ? mapped : [mapped]));
+    }
+    
+    if (target.selector) {
+      selectors.push(...(Array.isArray(target.selector) ? target.selector : [target.selector]));
+    }
     
     for (const selector of selectors) {
       try {
-        const element = await this.pageDetector.waitForElement(selector, timeout / selectors.length);
-        if (element && this.pageDetector.isElementVisible(element)) {
-          return {
-            element: element,
-            selector: selector,
-            visible: true
-          };
+        if (selector === ':scope') {
+          if (scope && scope.isConnected) return [scope];
+          continue;
+        }
+        
+        // Inside a forEach over elements, the current item is searched first
+        const roots = scope && scope.isConnected ? [scope, document] : [document];
+        for (const root of roots) {
+          const matches = this.pageDetector.queryAll(selector, root);
+          if (matches.length > 0) return matches;
         }
       } catch (error) {
-        console.debug(`Selector failed: ${selector}`, error.message);
+        // Invalid selector, continue
       }
     }
+    
+    return [];
   }
   
-  throw new Error(`No element found for step: ${JSON.stringify(step)}`);
-}
-
-// 2. Fix navigation detection
-async function fixedWaitForNavigation() {
-  const startUrl = window.location.href;
-  const timeout = 15000; // Increased timeout
-  const startTime = Date.now();
-  
-  // Wait for URL change
-  while (Date.now() - startTime < timeout) {
-    if (window.location.href !== startUrl) {
-      // URL changed, now wait for page to be ready
-      await this.waitForPageReady();
-      return;
+  isElementEnabled(element) {
+    return !element.disabled &&
+           !element.closest('fieldset[disabled]') &&
+           element.getAttribute('aria-disabled') !== 'true';
+  }
+  
+  async waitForNavigation() {
+    const startUrl = window.location.href;
+    const timeout = 15000; // Increased timeout
+    const startTime = Date.now();
+    
+    // Wait for URL change
+    while (Date.now() - startTime < timeout) {
+      if (window.location.href !== startUrl) {
+        // URL changed, now wait for page to be ready
+        await this.waitForPageReady();
+        this.pageDetector.clearCache();
+        await this.pageDetector.detectCurrentPage();
+        return;
+      }
+      await this.sleep(100);
     }
-    await this.sleep(100);
+    
+    // No navigation detected, check if page content changed significantly
+    console.warn('No URL change detected, checking for content changes');
   }
   
-  // No navigation detected, check if page content changed significantly
-  console.warn('No URL change detected, checking for content changes');
-}
-
-async function waitForPageReady() {
-  const maxWait = 10000;
-  const startTime = Date.now();
-  
-  while (Date.now() - startTime < maxWait) {
-    if (document.readyState === 'complete' && 
-        !document.querySelector('.loading, .spinner, [data-loading]')) {
-      await this.sleep(500); // Additional settling time
-      return;
+  /**
+   * PAGE LOAD BUDGET
+   */
+  
+  // Queues in the background until the target origin has budget left; a stop
+  // requested while waiting takes effect before the page load
+  async waitForPageLoadSlot(url) {
+    if (!this.acquirePageLoadSlot) return;
+    
+    const slot = await this.acquirePageLoadSlot(url);
+    await this.checkpoint();
+    
+    if (!slot.granted) {
+      throw new Error(`No page load slot for ${url}`);
+    }
+    if (slot.waited > 0) {
+      this.logDebug(`Waited ${slot.waited}ms for a page load slot`);
     }
-    await this.sleep(100);
   }
-}
-
-// 3. Fix click handler with retry logic
-async function fixedHandleClick(step) {
-  let retries = 3;
-  let lastError;
   
-  while (retries > 0) {
-    try {
-      const element = await this.findElement(step);
+  // Upper bound on the page loads a run asks the throttle for: navigate steps
+  // and steps expecting navigation, multiplied through loops. Counts only
+  // known at run time (captured variables, later pages) are taken as one.
+  estimatePageLoads(scenarioOrName, parameters = {}) {
+    const scenario = typeof scenarioOrName === 'string' ?
+      this.getScenario(scenarioOrName) : scenarioOrName;
+    
+    const params = this.resolveParameters(scenario, parameters);
+    return this.countPageLoads(scenario.steps, params, [scenario.name]);
+  }
+  
+  countPageLoads(steps = [], params, callStack) {
+    return steps.reduce((total, step) => total + this.countStepPageLoads(step, params, callStack), 0);
+  }
+  
+  countStepPageLoads(step, params, callStack) {
+    if (step.type === 'navigate' || step.expectsNavigation) {
+      return 1;
+    }
+    
+    if (step.type === 'if') {
+      return Math.max(
+        this.countPageLoads(step.then, params, callStack),
+        this.countPageLoads(step.else, params, callStack)
+      );
+    }
+    
+    if (step.type === 'repeat' || step.type === 'forEach') {
+      const body = this.countPageLoads(step.steps, params, callStack);
+      return body > 0 ? body * this.estimateIterations(step, params) : 0;
+    }
+    
+    if (step.type === 'call') {
+      const target = this.scenarios[step.scenario];
+      if (!target || callStack.includes(target.name) || callStack.length > this.options.maxCallDepth) {
+        return 0;
+      }
       
-      if (!this.pageDetector.isElementVisible(element.element)) {
-        throw new Error('Element is not visible');
+      let callParams;
+      try {
+        callParams = this.resolveParameters(target, this.interpolate(step.arguments || {}, params));
+      } catch (error) {
+        callParams = {};
       }
       
-      if (step.scrollToElement !== false) {
-        await this.humanSim.scrollToElement(element.element);
-        await this.sleep(500); // Wait for scroll to complete
+      return this.countPageLoads(target.steps, callParams, [...callStack, target.name]);
+    }
+    
+    return 0;
+  }
+  
+  // Element loops are counted on the current page
+  estimateIterations(step, params) {
+    let count;
+    
+    try {
+      count = step.type === 'repeat' ?
+        Number(this.interpolate(step.times, params)) :
+        this.getForEachSource(step, params).count();
+    } catch (error) {
+      count = 1;
+    }
+    
+    if (!Number.isFinite(count) || count < 1) {
+      count = 1;
+    }
+    
+    return Math.min(count, step.limit || Infinity, this.options.maxIterations);
+  }
+  
+  /**
+   * CONTENT CHANGES
+   */
+  
+  // expectsContentChange: true or { elementName/selector, quietTime, timeout }
+  getContentChangeOptions(value) {
+    if (!value) return null;
+    return value === true ? {} : value;
+  }
+  
+  async resolveContentContainer(options) {
+    if (!options.elementName && !options.selector) {
+      return document.body;
+    }
+    
+    const container = await this.findElement(options);
+    return container.element;
+  }
+  
+  // Starts recording mutations under container; the returned watch is handed
+  // to waitForContentChange once the triggering action is done
+  // An unarmed watch ignores mutations until arm() is called
+  observeContentChange(container = document.body, armed = true) {
+    const overlaySelector = '#human-sim-debug, #page-detector-debug';
+    const watch = {
+      container,
+      armed,
+      textBefore: container.textContent || '',
+      summary: { mutations: 0, nodesAdded: 0, nodesRemoved: 0, attributesChanged: 0, textChanged: 0 },
+      firstMutationAt: null,
+      lastMutationAt: null
+    };
+    
+    const observer = new MutationObserver((mutations) => {
+      if (!watch.armed) return;
+      
+      for (const mutation of mutations) {
+        // Debug overlays redraw on every mouse move
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ?
+          mutation.target : mutation.target.parentElement;
+        if (target && target.closest(overlaySelector)) continue;
+        
+        watch.summary.mutations++;
+        watch.summary.nodesAdded += mutation.addedNodes.length;
+        watch.summary.nodesRemoved += mutation.removedNodes.length;
+        if (mutation.type === 'attributes') watch.summary.attributesChanged++;
+        if (mutation.type === 'characterData') watch.summary.textChanged++;
+        
+        watch.lastMutationAt = Date.now();
+        watch.firstMutationAt = watch.firstMutationAt || watch.lastMutationAt;
+      }
+    });
+    
+    observer.observe(container, {
+      childList: true,
+      subtree: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['class', 'hidden', 'disabled', 'aria-hidden', 'aria-expanded']
+    });
+    
+    // Records still queued from before arming are dropped with takeRecords()
+    watch.arm = () => {
+      observer.takeRecords();
+      watch.armed = true;
+      watch.textBefore = container.textContent || '';
+    };
+    
+    watch.disconnect = () => observer.disconnect();
+    return watch;
+  }
+  
+  // Waits for mutations to start, then for quietTime ms without any, and
+  // returns what changed. Without a watch, observation starts now.
+  async waitForContentChange(options = {}, watch = null) {
+    watch = watch || this.observeContentChange(await this.resolveContentContainer(options));
+    
+    const quietTime = options.quietTime || this.options.contentQuietTime;
+    const timeout = options.timeout || this.options.stepTimeout;
+    const startTime = Date.now();
+    
+    try {
+      while (!watch.firstMutationAt) {
+        if (Date.now() - startTime >= timeout) {
+          throw new Error(`No content change within ${timeout}ms`);
+        }
+        await this.checkpoint();
+        await this.sleep(50);
       }
       
-      await this.humanSim.humanClick(element.element, {
-        doubleClick: step.doubleClick || false,
-        button: step.button || 'left'
-      });
+      while (Date.now() - watch.lastMutationAt < quietTime) {
+        if (Date.now() - startTime >= timeout) {
+          throw new Error(`Content still changing after ${timeout}ms`);
+        }
+        await this.checkpoint();
+        await this.sleep(50);
+      }
+    } finally {
+      watch.disconnect();
+    }
+    
+    const summary = {
+      ...watch.summary,
+      textDiff: this.measureTextDiff(watch.textBefore, watch.container.textContent || ''),
+      settledAfter: watch.lastMutationAt - startTime
+    };
+    
+    this.lastContentChange = summary;
+    this.logDebug('Content settled:', summary);
+    
+    return summary;
+  }
+  
+  // Characters in the changed middle section once the common prefix and
+  // suffix are stripped; cheap and good enough to tell small from large changes
+  measureTextDiff(before, after) {
+    const shorter = Math.min(before.length, after.length);
+    let prefix = 0;
+    while (prefix < shorter && before[prefix] === after[prefix]) prefix++;
+    
+    let suffix = 0;
+    while (suffix < shorter - prefix &&
+           before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) suffix++;
+    
+    return Math.max(before.length, after.length) - prefix - suffix;
+  }
+  
+  // Resolves once no fetch/XHR has been in flight for idleTime ms. Quiet time
+  // before since (e.g. the click) does not count, so requests get a chance
+  // to start first.
+  async waitForNetworkIdle(options = {}, since = Date.now()) {
+    this.requirePageMonitor('expectsNetworkIdle');
+    
+    const idleTime = options.idleTime || this.options.networkIdleTime;
+    const timeout = options.timeout || this.options.stepTimeout;
+    
+    while (!this.pageMonitor.isNetworkIdle(idleTime, since)) {
+      if (Date.now() - since >= timeout) {
+        const pending = this.pageMonitor.getPendingRequests();
+        const urls = pending.slice(0, 3).map(request => `${request.method} ${request.url}`).join(', ');
+        throw new Error(`Network not idle after ${timeout}ms; ${pending.length} request(s) pending${urls ? `: ${urls}` : ''}`);
+      }
       
-      // Handle post-click actions
-      if (step.expectsNavigation) {
-        await this.waitForNavigation();
-      } else if (step.expectsContentChange) {
-        await this.waitForContentChange();
-      } else {
-        await this.sleep(500); // Small delay for UI updates
+      await this.checkpoint();
+      await this.sleep(50);
+    }
+  }
+  
+  requirePageMonitor(feature) {
+    if (!this.pageMonitor) {
+      throw new Error(`${feature} needs the page monitor, which is not available`);
+    }
+  }
+  
+  async waitForPageReady() {
+    const maxWait = 10000;
+    const startTime = Date.now();
+    
+    while (Date.now() - startTime < maxWait) {
+      if (document.readyState === 'complete' &&
+          !document.querySelector('.loading, .spinner, [data-loading]')) {
+        await this.sleep(500); // Additional settling time
+        return;
       }
+      await this.sleep(100);
+    }
+  }
+  
+  /**
+   * SCENARIO LIBRARY
+   */
+  
+  initScenarios() {
+    return {
+      searchProducts: {
+        version: 1,
+        name: 'searchProducts',
+        description: 'Search for products',
+        parameters: {
+          searchTerm: { type: 'string', required: true, default: 'headers' }
+        },
+        steps: [
+          {
+            type: 'type',
+            name: 'Enter search term',
+            elementName: 'searchBar',
+            pageType: 'homepage',
+            selector: ['#search-input', 'input[name="search"]', 'input[type="search"]'],
+            parameter: 'searchTerm',
+            pressEnter: true,
+            expectsNavigation: true
+          },
+          { type: 'wait', name: 'Look at results', min: 1500, max: 3000 },
+          { type: 'scroll', name: 'Scroll results', direction: 'down', distance: 600 }
+        ]
+      },
       
-      return; // Success, exit retry loop
+      browseHomepage: {
+        version: 1,
+        name: 'browseHomepage',
+        description: 'Browse the homepage',
+        parameters: {},
+        steps: [
+          { type: 'navigate', name: 'Open homepage', url: '/' },
+          { type: 'wait', name: 'Look at hero', min: 1000, max: 2500 },
+          { type: 'scroll', name: 'Scroll down', direction: 'down', distance: 500 },
+          { type: 'wait', name: 'Read content', min: 1500, max: 3000 },
+          { type: 'scroll', name: 'Scroll further', direction: 'down', distance: 700, speed: 'slow' },
+          { type: 'wait', name: 'Read content', min: 1500, max: 3000 },
+          { type: 'scroll', name: 'Back to top', direction: 'up', distance: 1200, speed: 'fast' }
+        ]
+      },
       
-    } catch (error) {
-      lastError = error;
-      retries--;
+      viewFirstResult: {
+        version: 1,
+        name: 'viewFirstResult',
+        description: 'Open the first search result',
+        parameters: {},
+        steps: [
+          { type: 'scroll', name: 'Find results', elementName: 'resultItems', pageType: 'search' },
+          {
+            type: 'click',
+            name: 'Open first result',
+            elementName: 'resultItems',
+            pageType: 'search',
+            selector: ['.product-item a', '.product-tile a', '[data-testid="product-tile"] a'],
+            expectsNavigation: true
+          },
+          { type: 'wait', name: 'Look at product', min: 2000, max: 4000 },
+          { type: 'scroll', name: 'Read details', direction: 'down', distance: 500 }
+        ]
+      },
       
-      if (retries > 0) {
-        this.logWarn(`Click failed, retrying (${3 - retries}/3): ${error.message}`);
-        await this.sleep(1000); // Wait before retry
+      addToCart: {
+        version: 1,
+        name: 'addToCart',
+        description: 'Add the current product to the cart',
+        parameters: {
+          quantity: { type: 'number', required: false, default: 1, min: 1, max: 10 }
+        },
+        steps: [
+          {
+            type: 'type',
+            name: 'Set quantity',
+            elementName: 'quantityInput',
+            pageType: 'product',
+            parameter: 'quantity',
+            optional: true
+          },
+          { type: 'wait', name: 'Pause', min: 500, max: 1200 },
+          {
+            type: 'click',
+            name: 'Add to cart',
+            elementName: 'addToCartButton',
+            pageType: 'product'
+          },
+          { type: 'wait', name: 'Wait for cart update', duration: 2000 }
+        ]
+      }
+    };
+  }
+  
+  getScenario(name) {
+    const scenario = this.scenarios[name];
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+    return scenario;
+  }
+  
+  listScenarios() {
+    return Object.values(this.scenarios).map(scenario => ({
+      name: scenario.name,
+      description: scenario.description,
+      version: scenario.version,
+      source: scenario.source || 'builtin',
+      parameters: scenario.parameters || {},
+      stepCount: scenario.steps.length
+    }));
+  }
+  
+  validateScenario(scenario) {
+    if (!this.validator) {
+      return { valid: true, errors: [] };
+    }
+    return this.validator.validate(scenario);
+  }
+  
+  assertValidScenario(scenario) {
+    if (this.validator) {
+      this.validator.assertValid(scenario);
+    }
+  }
+  
+  // Adds a JSON scenario to the library; built-in scenarios cannot be replaced
+  registerScenario(definition, source = 'user') {
+    this.assertValidScenario(definition);
+    
+    const existing = this.scenarios[definition.name];
+    if (existing && (existing.source || 'builtin') === 'builtin') {
+      throw new Error(`Cannot replace built-in scenario: ${definition.name}`);
+    }
+    
+    this.scenarios[definition.name] = { ...definition, source };
+    this.logDebug(`Registered ${source} scenario: ${definition.name}`);
+    return this.scenarios[definition.name];
+  }
+  
+  unregisterScenario(name) {
+    const scenario = this.scenarios[name];
+    if (!scenario) {
+      throw new Error(`Unknown scenario: ${name}`);
+    }
+    if ((scenario.source || 'builtin') === 'builtin') {
+      throw new Error(`Cannot remove built-in scenario: ${name}`);
+    }
+    
+    delete this.scenarios[name];
+  }
+  
+  /**
+   * EVENTS
+   */
+  
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+  }
+  
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+  
+  emit(event, data) {
+    const handlers = this.listeners.get(event);
+    if (!handlers) return;
+    
+    for (const handler of handlers) {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[ScenarioRunner] ${event} handler error:`, error);
       }
     }
   }
   
-  throw lastError;
+  /**
+   * UTILITIES
+   */
+  
+  truncate(text, length) {
+    if (!text) return '';
+    return text.length > length ? text.substring(0, length) + '…' : text;
+  }
+  
+  // Drawn from the run's seeded generator so waits replay too
+  randomBetween(min, max) {
+    return this.humanSim.randomBetween(min, max);
+  }
+  
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+  
+  // Delays that only make a run look human; fast mode skips them
+  pace(ms) {
+    return this.executionMode === 'fast' ? Promise.resolve() : this.sleep(ms);
+  }
+  
+  logDebug(message, data = null) {
+    if (this.options.debug) {
+      console.log(`[ScenarioRunner] ${message}`, data);
+    }
+  }
+  
+  logWarn(message) {
+    console.warn(`[ScenarioRunner] ${message}`);
+  }
+  
+  // Cleanup method
+  destroy() {
+    this.stop();
+    this.listeners.clear();
+    
+    if (this.ownsHumanSim && this.humanSim && this.humanSim.destroy) {
+      this.humanSim.destroy();
+    }
+    
+    if (this.ownsPageDetector && this.pageDetector && this.pageDetector.destroy) {
+      this.pageDetector.destroy();
+    }
+    
+    this.humanSim = null;
+    this.pageDetector = null;
+    this.directDriver = null;
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioRunner;
+} else if (typeof window !== 'undefined') {
+  window.ScenarioRunner = ScenarioRunner;
 }
 
-// 4. Add these methods to ScenarioRunner class
-ScenarioRunner.prototype.findElement = fixedFindElement;
-ScenarioRunner.prototype.waitForNavigation = fixedWaitForNavigation;
-ScenarioRunner.prototype.waitForPageReady = waitForPageReady;
-ScenarioRunner.prototype.handleClick = fixedHandleClick;
\ No newline at end of file
+console.log('[ScenarioRunner] Scenario runner loaded successfully');
@@ -0,0 +1,810 @@
+/**
+ * Scenario Validator - JSON Scenario Format
+ * Checks declarative scenarios before the runner accepts or starts them
+ *
+ * Format (version 1):
+ * {
+ *   "version": 1,
+ *   "name": "searchProducts",
+ *   "description": "Search for products",
+ *   "options": { "failOnPageError": true },
+ *   "parameters": {
+ *     "searchTerm": { "type": "string", "required": true, "default": "headers" },
+ *     "quantity": { "type": "number", "default": 1, "min": 1, "max": 10 }
+ *   },
+ *   "steps": [
+ *     { "type": "type", "elementName": "searchBar", "parameter": "searchTerm", "pressEnter": true },
+ *     { "type": "assert", "assert": "resultCount", "min": 1, "soft": true },
+ *     { "type": "capture", "capture": "firstResultTitle", "as": "title" },
+ *     { "type": "click", "selector": [".product-tile a"], "expectsNavigation": true },
+ *     { "type": "assert", "assert": "pageType", "expected": "product" },
+ *     { "type": "assert", "assert": "text", "elementName": "productTitle", "expected": "{{title}}" },
+ *     { "type": "wait", "min": 1000, "max": 2000 }
+ *   ]
+ * }
+ *
+ * Templates: "{{name}}" in text, selector, url, expected, pattern, message,
+ * times and call arguments resolves to a captured variable or a parameter.
+ * In regular expressions (pattern, and expected with "match": "regex") the
+ * value is escaped so it matches literally.
+ *
+ * Control flow:
+ *   { "type": "if", "condition": { "type": "stockStatus", "expected": "in_stock" },
+ *     "then": [...], "else": [...] }
+ *   { "type": "repeat", "times": 3, "until": { "type": "elementPresent", ... }, "steps": [...] }
+ *   { "type": "forEach", "elementName": "resultItems", "pageType": "search", "limit": 3,
+ *     "as": "title", "steps": [{ "type": "click", "selector": ":scope" }, ...] }
+ *   { "type": "forEach", "parameter": "searchTerms", "as": "term", "steps": [...] }
+ *   { "type": "call", "scenario": "addToCart", "arguments": { "quantity": 2 } }
+ *
+ * Waiting on a condition (any if/repeat condition works):
+ *   { "type": "waitFor", "condition": { "type": "networkIdle", "idleTime": 500 }, "timeout": 10000 }
+ *   { "type": "waitFor", "condition": { "type": "elementCount", "elementName": "resultItems", "min": 5 } }
+ *   { "type": "waitFor", "condition": { "type": "textPresent", "text": "Added to cart" }, "timeout": 5000 }
+ *   { "type": "click", "elementName": "addToCartButton", "expectsNetworkIdle": { "idleTime": 750 } }
+ *   { "type": "click", "elementName": "filterOption",
+ *     "expectsContentChange": { "selector": ".search-results", "quietTime": 500 } }
+ *   { "type": "assert", "assert": "contentChange", "metric": "nodesAdded", "min": 1 }
+ *
+ * Selectors may mix CSS with semantic locators:
+ *   { "type": "click", "selector": [".add-to-cart", { "role": "button", "name": "Add to Cart" }] }
+ *   { "type": "type", "selector": { "label": "Quantity" }, "text": "2" }
+ *
+ * ">>>" descends into open shadow roots and same-origin iframes; a leading
+ * ">>>" (or "pierce": true on a locator object) searches all of them:
+ *   { "type": "click", "selector": "fitment-widget >>> button.apply" }
+ *   { "type": "click", "selector": { "text": "Write a review", "pierce": true } }
+ *
+ * Screenshots are taken automatically when a step fails; checkpoints add more:
+ *   { "type": "screenshot", "label": "Cart with {{title}}", "hideOverlays": true }
+ */
+
+class ScenarioValidator {
+  constructor(options = {}) {
+    this.options = {
+      debug: options.debug || false,
+      ...options
+    };
+    
+    this.supportedVersions = [1];
+    this.parameterTypes = ['string', 'number', 'boolean', 'array'];
+    this.locatorKinds = ['role', 'text', 'label', 'placeholder', 'testId'];
+    this.templateFields = ['text', 'selector', 'url', 'expected', 'pattern', 'message', 'times', 'arguments', 'label'];
+    this.stepSchemas = this.initStepSchemas();
+    this.conditionSchemas = this.initConditionSchemas();
+    this.optionSchemas = this.initOptionSchemas();
+  }
+  
+  /**
+   * SCHEMA DEFINITIONS
+   */
+  
+  // Fields every step may carry regardless of its type
+  initCommonFields() {
+    return {
+      type: 'string',
+      name: 'string',
+      optional: 'boolean',
+      elementName: 'string',
+      selector: 'selector',
+      pageType: 'string'
+    };
+  }
+  
+  // target: true = element required, 'optional' = element allowed, false = no element
+  initStepSchemas() {
+    return {
+      click: {
+        target: true,
+        fields: {
+          expectsNavigation: 'boolean',
+          expectsContentChange: 'contentChange',
+          expectsNetworkIdle: 'networkIdle',
+          doubleClick: 'boolean',
+          button: ['left', 'right', 'middle'],
+          scrollToElement: 'boolean'
+        }
+      },
+      type: {
+        target: true,
+        requireOneOf: ['text', 'parameter'],
+        fields: {
+          text: 'string',
+          parameter: 'parameterRef',
+          clearFirst: 'boolean',
+          pressEnter: 'boolean',
+          expectsNavigation: 'boolean',
+          scrollToElement: 'boolean'
+        }
+      },
+      scroll: {
+        target: 'optional',
+        fields: {
+          direction: ['up', 'down'],
+          distance: 'number',
+          speed: ['slow', 'medium', 'fast']
+        }
+      },
+      navigate: {
+        target: false,
+        required: ['url'],
+        fields: {
+          url: 'string'
+        }
+      },
+      wait: {
+        target: false,
+        fields: {
+          duration: 'number',
+          min: 'number',
+          max: 'number'
+        }
+      },
+      waitFor: {
+        target: false,
+        required: ['condition'],
+        fields: {
+          condition: 'condition',
+          timeout: 'number',
+          interval: 'number'
+        }
+      },
+      assert: {
+        target: 'optional',
+        required: ['assert'],
+        fields: {
+          assert: ['pageType', 'text', 'canAddToCart', 'resultCount', 'url', 'contentChange'],
+          metric: ['mutations', 'nodesAdded', 'nodesRemoved', 'attributesChanged', 'textChanged', 'textDiff'],
+          expected: 'any',
+          match: ['contains', 'equals', 'regex'],
+          min: 'number',
+          max: 'number',
+          pattern: 'regex',
+          soft: 'boolean',
+          message: 'string'
+        },
+        check: (step, addIssue) => this.checkAssertStep(step, addIssue)
+      },
+      screenshot: {
+        target: false,
+        fields: {
+          label: 'string',
+          hideOverlays: 'boolean'
+        }
+      },
+      if: {
+        target: false,
+        required: ['condition', 'then'],
+        nested: ['then', 'else'],
+        fields: {
+          condition: 'condition',
+          then: 'steps',
+          else: 'steps'
+        }
+      },
+      repeat: {
+        target: false,
+        required: ['times', 'steps'],
+        nested: ['steps'],
+        fields: {
+          times: 'count',
+          until: 'condition',
+          steps: 'steps'
+        }
+      },
+      forEach: {
+        target: 'optional',
+        required: ['steps'],
+        nested: ['steps'],
+        fields: {
+          items: 'array',
+          parameter: 'parameterRef',
+          as: 'variableName',
+          limit: 'count',
+          steps: 'steps'
+        },
+        check: (step, addIssue) => {
+          const hasTarget = step.elementName !== undefined || step.selector !== undefined;
+          const sources = [step.items !== undefined, step.parameter !== undefined, hasTarget];
+          if (sources.filter(Boolean).length !== 1) {
+            addIssue('', "'forEach' step requires exactly one of: items, parameter, elementName/selector");
+          }
+        }
+      },
+      call: {
+        target: false,
+        required: ['scenario'],
+        fields: {
+          scenario: 'string',
+          arguments: 'object'
+        }
+      },
+      capture: {
+        target: 'optional',
+        required: ['capture', 'as'],
+        fields: {
+          capture: ['price', 'partNumber', 'stockStatus', 'firstResultTitle', 'resultCount', 'text', 'url'],
+          as: 'variableName',
+          attribute: 'string'
+        },
+        check: (step, addIssue) => {
+          const hasTarget = step.elementName !== undefined || step.selector !== undefined;
+          if (step.capture === 'text' && !hasTarget) {
+            addIssue('', "'text' capture requires elementName or selector");
+          }
+          if (step.attribute !== undefined && step.capture !== 'text') {
+            addIssue('attribute', "is only allowed on 'text' captures");
+          }
+        }
+      }
+    };
+  }
+  
+  // Conditions used by if/repeat steps; same target fields as steps
+  initConditionSchemas() {
+    return {
+      pageType: {
+        target: false,
+        required: ['expected'],
+        fields: { expected: 'string' }
+      },
+      elementPresent: {
+        target: true,
+        fields: { timeout: 'number' }
+      },
+      stockStatus: {
+        target: false,
+        required: ['expected'],
+        fields: { expected: ['in_stock', 'out_of_stock', 'limited', 'backorder', 'unknown'] }
+      },
+      resultCount: {
+        target: false,
+        fields: { min: 'number', max: 'number' }
+      },
+      networkIdle: {
+        target: false,
+        fields: { idleTime: 'number' }
+      },
+      elementVisible: {
+        target: true
+      },
+      elementHidden: {
+        target: true
+      },
+      elementEnabled: {
+        target: true
+      },
+      elementCount: {
+        target: true,
+        fields: { min: 'count', max: 'count' }
+      },
+      textPresent: {
+        target: 'optional',
+        required: ['text'],
+        fields: { text: 'string' }
+      },
+      urlMatches: {
+        target: false,
+        required: ['pattern'],
+        fields: { pattern: 'regex' }
+      }
+    };
+  }
+  
+  // Plugin conditions registered on the runner; without declared fields any
+  // field is accepted
+  registerCondition(name, schema = {}) {
+    this.conditionSchemas[name] = {
+      target: schema.target || 'optional',
+      required: schema.required || [],
+      fields: schema.fields || {},
+      openFields: !schema.fields,
+      plugin: true
+    };
+  }
+  
+  unregisterCondition(name) {
+    if (this.conditionSchemas[name] && this.conditionSchemas[name].plugin) {
+      delete this.conditionSchemas[name];
+    }
+  }
+  
+  // Scenario-wide run options
+  initOptionSchemas() {
+    return {
+      failOnPageError: 'boolean'
+    };
+  }
+  
+  // Per-assertion requirements that field types alone cannot express
+  checkAssertStep(step, addIssue) {
+    const hasTarget = step.elementName !== undefined || step.selector !== undefined;
+    
+    switch (step.assert) {
+      case 'pageType':
+        if (typeof step.expected !== 'string') addIssue('expected', 'must be the expected page type');
+        break;
+      
+      case 'text':
+        if (!hasTarget) addIssue('', "'text' assertion requires elementName or selector");
+        if (step.expected === undefined) addIssue('expected', 'is required');
+        if (step.match === 'regex') {
+          const problem = this.checkFieldType(step.expected, 'regex');
+          if (problem) addIssue('expected', problem);
+        }
+        break;
+      
+      case 'canAddToCart':
+        if (step.expected !== undefined && typeof step.expected !== 'boolean') {
+          addIssue('expected', 'must be a boolean');
+        }
+        break;
+      
+      case 'resultCount':
+        if (step.min === undefined && step.max === undefined) addIssue('', "'resultCount' assertion requires min and/or max");
+        if (typeof step.min === 'number' && typeof step.max === 'number' && step.min > step.max) {
+          addIssue('min', 'must not be greater than max');
+        }
+        break;
+      
+      case 'url':
+        if (step.pattern === undefined) addIssue('pattern', 'is required');
+        break;
+      
+      case 'contentChange':
+        if (hasTarget) addIssue('', "'contentChange' assertion checks the last expectsContentChange click and takes no element");
+        if (typeof step.min === 'number' && typeof step.max === 'number' && step.min > step.max) {
+          addIssue('min', 'must not be greater than max');
+        }
+        break;
+    }
+  }
+  
+  /**
+   * VALIDATION
+   */
+  
+  validate(scenario) {
+    const errors = [];
+    const addError = (path, message, stepIndex = null) => {
+      errors.push({ path, message, stepIndex });
+    };
+    
+    if (!this.isPlainObject(scenario)) {
+      addError('', 'Scenario must be an object');
+      return { valid: false, errors };
+    }
+    
+    // Header fields
+    if (scenario.version === undefined) {
+      addError('version', 'is required');
+    } else if (!this.supportedVersions.includes(scenario.version)) {
+      addError('version', `unsupported version ${scenario.version} (supported: ${this.supportedVersions.join(', ')})`);
+    }
+    
+    if (typeof scenario.name !== 'string' || !scenario.name.trim()) {
+      addError('name', 'must be a non-empty string');
+    } else if (!/^[A-Za-z][\w-]*$/.test(scenario.name)) {
+      addError('name', 'must start with a letter and contain only letters, digits, "_" or "-"');
+    }
+    
+    if (scenario.description !== undefined && typeof scenario.description !== 'string') {
+      addError('description', 'must be a string');
+    }
+    
+    this.validateParameters(scenario.parameters, addError);
+    this.validateOptions(scenario.options, addError);
+    
+    if (!Array.isArray(scenario.steps)) {
+      addError('steps', 'must be an array');
+    } else if (scenario.steps.length === 0) {
+      addError('steps', 'must contain at least one step');
+    } else {
+      const context = {
+        parameterNames: this.isPlainObject(scenario.parameters) ?
+          Object.keys(scenario.parameters) : [],
+        variableNames: this.collectVariableNames(scenario.steps),
+        // Called scenarios may capture variables this one cannot see
+        hasCalls: this.someStep(scenario.steps, step => step.type === 'call')
+      };
+      
+      scenario.steps.forEach((step, index) => {
+        this.validateStep(step, `steps[${index}]`, index, context, addError);
+      });
+    }
+    
+    if (this.options.debug && errors.length > 0) {
+      console.log('[ScenarioValidator] Validation errors:', errors);
+    }
+    
+    return { valid: errors.length === 0, errors };
+  }
+  
+  validateParameters(parameters, addError) {
+    if (parameters === undefined) return;
+    
+    if (!this.isPlainObject(parameters)) {
+      addError('parameters', 'must be an object keyed by parameter name');
+      return;
+    }
+    
+    for (const [paramName, config] of Object.entries(parameters)) {
+      const path = `parameters.${paramName}`;
+      
+      if (!this.isPlainObject(config)) {
+        addError(path, 'must be an object');
+        continue;
+      }
+      
+      if (!this.parameterTypes.includes(config.type)) {
+        addError(`${path}.type`, `must be one of: ${this.parameterTypes.join(', ')}`);
+        continue;
+      }
+      
+      if (config.required !== undefined && typeof config.required !== 'boolean') {
+        addError(`${path}.required`, 'must be a boolean');
+      }
+      
+      if (config.default !== undefined && !this.matchesParameterType(config.default, config.type)) {
+        addError(`${path}.default`, `must be a ${config.type}`);
+      }
+      
+      for (const bound of ['min', 'max', 'step']) {
+        if (config[bound] === undefined) continue;
+        
+        if (config.type !== 'number') {
+          addError(`${path}.${bound}`, 'is only allowed on number parameters');
+        } else if (typeof config[bound] !== 'number') {
+          addError(`${path}.${bound}`, 'must be a number');
+        }
+      }
+      
+      if (typeof config.min === 'number' && typeof config.max === 'number' && config.min > config.max) {
+        addError(`${path}.min`, 'must not be greater than max');
+      }
+    }
+  }
+  
+  validateOptions(options, addError) {
+    if (options === undefined) return;
+    
+    if (!this.isPlainObject(options)) {
+      addError('options', 'must be an object');
+      return;
+    }
+    
+    for (const [name, value] of Object.entries(options)) {
+      const optionType = this.optionSchemas[name];
+      
+      if (!optionType) {
+        addError(`options.${name}`, `unknown option (known: ${Object.keys(this.optionSchemas).join(', ')})`);
+        continue;
+      }
+      
+      const problem = this.checkFieldType(value, optionType, []);
+      if (problem) {
+        addError(`options.${name}`, problem);
+      }
+    }
+  }
+  
+  // Variables any capture or forEach step in the scenario may define
+  collectVariableNames(steps) {
+    const names = [];
+    
+    this.someStep(steps, step => {
+      if (step.type === 'capture' && typeof step.as === 'string') names.push(step.as);
+      if (step.type === 'forEach') names.push(typeof step.as === 'string' ? step.as : 'item');
+      return false;
+    });
+    
+    return names;
+  }
+  
+  // Walks steps depth-first, including branches and loop bodies
+  someStep(steps, predicate) {
+    if (!Array.isArray(steps)) return false;
+    
+    return steps.some(step => {
+      if (!this.isPlainObject(step)) return false;
+      if (predicate(step)) return true;
+      
+      const nested = this.stepSchemas[step.type]?.nested || [];
+      return nested.some(field => this.someStep(step[field], predicate));
+    });
+  }
+  
+  validateStep(step, path, stepIndex, context, addError) {
+    if (!this.isPlainObject(step)) {
+      addError(path, 'must be an object', stepIndex);
+      return;
+    }
+    
+    const schema = this.stepSchemas[step.type];
+    if (!schema) {
+      addError(`${path}.type`, `unknown step type '${step.type}' (expected one of: ${Object.keys(this.stepSchemas).join(', ')})`, stepIndex);
+      return;
+    }
+    
+    const commonFields = this.initCommonFields();
+    const fields = { ...commonFields, ...schema.fields };
+    
+    // Field types and unknown fields
+    for (const [field, value] of Object.entries(step)) {
+      const fieldType = fields[field];
+      
+      if (!fieldType) {
+        addError(`${path}.${field}`, `unknown field for '${step.type}' step`, stepIndex);
+        continue;
+      }
+      
+      this.checkField(field, value, fieldType, path, stepIndex, context, addError);
+    }
+    
+    this.checkTargetAndRequired(step, schema, `'${step.type}' step`, path, stepIndex, addError);
+    
+    if (schema.requireOneOf && !schema.requireOneOf.some(field => step[field] !== undefined)) {
+      addError(path, `'${step.type}' step requires one of: ${schema.requireOneOf.join(', ')}`, stepIndex);
+    }
+    
+    if (schema.check) {
+      schema.check(step, (field, message) => {
+        addError(field ? `${path}.${field}` : path, message, stepIndex);
+      });
+    }
+    
+    // Branches and loop bodies share the top-level step index
+    for (const field of schema.nested || []) {
+      if (!Array.isArray(step[field])) continue;
+      
+      step[field].forEach((child, index) => {
+        this.validateStep(child, `${path}.${field}[${index}]`, stepIndex, context, addError);
+      });
+    }
+  }
+  
+  validateCondition(condition, path, stepIndex, context, addError) {
+    const schema = this.conditionSchemas[condition.type];
+    if (!schema) {
+      addError(`${path}.type`, `unknown condition '${condition.type}' (expected one of: ${Object.keys(this.conditionSchemas).join(', ')})`, stepIndex);
+      return;
+    }
+    
+    const fields = {
+      type: 'string',
+      not: 'boolean',
+      elementName: 'string',
+      selector: 'selector',
+      pageType: 'string',
+      ...schema.fields
+    };
+    
+    for (const [field, value] of Object.entries(condition)) {
+      const fieldType = fields[field];
+      
+      if (!fieldType) {
+        if (!schema.openFields) {
+          addError(`${path}.${field}`, `unknown field for '${condition.type}' condition`, stepIndex);
+        }
+        continue;
+      }
+      
+      this.checkField(field, value, fieldType, path, stepIndex, context, addError);
+    }
+    
+    this.checkTargetAndRequired(condition, schema, `'${condition.type}' condition`, path, stepIndex, addError);
+  }
+  
+  checkField(field, value, fieldType, path, stepIndex, context, addError) {
+    const fieldPath = `${path}.${field}`;
+    const templateNames = this.templateFields.includes(field) ? this.findTemplateNames(value) : [];
+    
+    // A templated value is only known at run time
+    if (templateNames.length === 0) {
+      const problem = this.checkFieldType(value, fieldType, context.parameterNames);
+      if (problem) {
+        addError(fieldPath, problem, stepIndex);
+      }
+    }
+    
+    if (fieldType === 'condition' && this.isPlainObject(value)) {
+      this.validateCondition(value, fieldPath, stepIndex, context, addError);
+    }
+    
+    if (context.hasCalls) return;
+    
+    for (const name of templateNames) {
+      if (!context.parameterNames.includes(name) && !context.variableNames.includes(name)) {
+        addError(fieldPath, `template '{{${name}}}' refers to an undeclared parameter or variable`, stepIndex);
+      }
+    }
+  }
+  
+  checkTargetAndRequired(owner, schema, label, path, stepIndex, addError) {
+    const hasTarget = owner.elementName !== undefined || owner.selector !== undefined;
+    if (schema.target === true && !hasTarget) {
+      addError(path, `${label} requires elementName or selector`, stepIndex);
+    } else if (schema.target === false && hasTarget) {
+      addError(path, `${label} does not target an element`, stepIndex);
+    }
+    
+    for (const field of schema.required || []) {
+      if (owner[field] === undefined) {
+        addError(`${path}.${field}`, 'is required', stepIndex);
+      }
+    }
+  }
+  
+  checkFieldType(value, fieldType, parameterNames) {
+    if (Array.isArray(fieldType)) {
+      return fieldType.includes(value) ? null : `must be one of: ${fieldType.join(', ')}`;
+    }
+    
+    switch (fieldType) {
+      case 'string':
+        return typeof value === 'string' ? null : 'must be a string';
+      
+      case 'number':
+        return typeof value === 'number' && isFinite(value) && value >= 0 ?
+          null : 'must be a non-negative number';
+      
+      case 'boolean':
+        return typeof value === 'boolean' ? null : 'must be a boolean';
+      
+      case 'selector': {
+        const items = Array.isArray(value) ? value : [value];
+        if (items.length === 0) return 'must not be an empty array';
+        
+        for (const item of items) {
+          const problem = this.checkLocator(item);
+          if (problem) return problem;
+        }
+        return null;
+      }
+      
+      case 'regex':
+        if (typeof value !== 'string') return 'must be a regular expression string';
+        if (this.findTemplateNames(value).length > 0) return null;
+        try {
+          new RegExp(value);
+          return null;
+        } catch (error) {
+          return `is not a valid regular expression: ${error.message}`;
+        }
+      
+      case 'count':
+        return Number.isInteger(value) && value >= 0 ? null : 'must be a non-negative whole number';
+      
+      case 'array':
+        return Array.isArray(value) ? null : 'must be an array';
+      
+      case 'object':
+        return this.isPlainObject(value) ? null : 'must be an object';
+      
+      case 'steps':
+        return Array.isArray(value) ? null : 'must be an array of steps';
+      
+      case 'condition':
+        return this.isPlainObject(value) ? null : 'must be a condition object';
+      
+      case 'variableName':
+        return typeof value === 'string' && /^[A-Za-z_]\w*$/.test(value) ?
+          null : 'must be a name made of letters, digits and "_"';
+      
+      case 'networkIdle':
+        if (typeof value === 'boolean') return null;
+        if (this.isPlainObject(value) && Object.entries(value).every(([key, option]) =>
+          ['idleTime', 'timeout'].includes(key) && typeof option === 'number' && option >= 0)) return null;
+        return 'must be a boolean or an object with idleTime/timeout in ms';
+      
+      case 'contentChange':
+        if (typeof value === 'boolean') return null;
+        if (this.isPlainObject(value) && Object.entries(value).every(([key, option]) =>
+          (['quietTime', 'timeout'].includes(key) && typeof option === 'number' && option >= 0) ||
+          (['elementName', 'pageType'].includes(key) && typeof option === 'string') ||
+          (key === 'selector' && !this.checkFieldType(option, 'selector')))) return null;
+        return 'must be a boolean or an object with elementName/selector, quietTime and timeout';
+      
+      case 'any':
+        return null;
+      
+      case 'parameterRef':
+        if (typeof value !== 'string') return 'must be a string';
+        return parameterNames.includes(value) ? null : `refers to undeclared parameter '${value}'`;
+      
+      default:
+        return null;
+    }
+  }
+  
+  // CSS selector string or a semantic locator object (see LocatorEngine)
+  checkLocator(locator) {
+    if (typeof locator === 'string') {
+      return locator.trim() ? null : 'must not contain empty selectors';
+    }
+    if (!this.isPlainObject(locator)) {
+      return 'must be a selector string, a locator object or an array of them';
+    }
+    
+    const kinds = this.locatorKinds.filter(kind => locator[kind] !== undefined);
+    if (kinds.length !== 1) {
+      return `locator needs exactly one of: ${this.locatorKinds.join(', ')}`;
+    }
+    
+    for (const [key, value] of Object.entries(locator)) {
+      if (key === 'exact' || key === 'pierce') {
+        if (typeof value !== 'boolean') return `locator ${key} must be a boolean`;
+      } else if (key === 'name') {
+        if (kinds[0] !== 'role') return 'locator name is only allowed with role';
+        if (typeof value !== 'string') return 'locator name must be a string';
+      } else if (!this.locatorKinds.includes(key)) {
+        return `unknown locator field '${key}'`;
+      } else if (typeof value !== 'string' || !value.trim()) {
+        return `locator ${key} must be a non-empty string`;
+      }
+    }
+    
+    return null;
+  }
+  
+  findTemplateNames(value) {
+    const values = Array.isArray(value) ? value :
+      this.isPlainObject(value) ? Object.values(value) : [value];
+    const names = [];
+    
+    for (const item of values) {
+      if (typeof item !== 'string') continue;
+      for (const match of item.matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+        names.push(match[1]);
+      }
+    }
+    
+    return names;
+  }
+  
+  matchesParameterType(value, type) {
+    switch (type) {
+      case 'string': return typeof value === 'string';
+      case 'number': return typeof value === 'number' && isFinite(value);
+      case 'boolean': return typeof value === 'boolean';
+      case 'array': return Array.isArray(value);
+      default: return false;
+    }
+  }
+  
+  /**
+   * HELPERS
+   */
+  
+  // Human-readable summary, one line per error
+  formatErrors(errors) {
+    return errors.map(error => {
+      const location = error.stepIndex !== null ? ` (step ${error.stepIndex + 1})` : '';
+      return `${error.path || 'scenario'}${location}: ${error.message}`;
+    }).join('\n');
+  }
+  
+  // Throws with every problem listed; the error carries the structured list
+  assertValid(scenario) {
+    const { valid, errors } = this.validate(scenario);
+    if (valid) return scenario;
+    
+    const name = this.isPlainObject(scenario) && scenario.name ? ` '${scenario.name}'` : '';
+    const error = new Error(`Invalid scenario${name}:\n${this.formatErrors(errors)}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioValidator;
+} else if (typeof window !== 'undefined') {
+  window.ScenarioValidator = ScenarioValidator;
+}
+
+console.log('[ScenarioValidator] Scenario validator loaded successfully');
@@ -70,6 +70,11 @@ function debugSpeedwayExtension() {
   console.log('\n🚨 ERROR CHECK:');
   const errors = [];
   
+  // Page errors recorded by the page monitor during scenario runs
+  if (speedway?.pageMonitor) {
+    console.log('Page errors recorded during runs:', speedway.pageMonitor.getErrors());
+  }
+  
   // Override console.error temporarily to catch errors
   const originalError = console.error;
   console.error = function(...args) {
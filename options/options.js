@@ -0,0 +1,549 @@
+/**
+ * Options Controller
+ * Edits the allowed origins and the detector overrides PageDetector layers
+ * over its built-in URL patterns, element maps, page indicators and content
+ * patterns
+ */
+
+// captureVisibleTab needs this (or activeTab, which navigation revokes)
+const SCREENSHOT_PERMISSION = { origins: ['<all_urls>'] };
+
+// Same origin format background.js accepts: scheme://host[:port], with '*'
+// allowed as the scheme, as a leading host label and as the port
+const ORIGIN_PATTERN = /^(https?|\*):\/\/(\*\.)?([a-z0-9-]+(?:\.[a-z0-9-]+)*)(?::(\d{1,5}|\*))?$/;
+
+class OptionsController {
+  constructor() {
+    this.sections = ['urlPatterns', 'elementMaps', 'pageIndicators', 'contentPatterns'];
+    this.defaults = this.getDefaults();
+    this.validator = new ScenarioValidator();
+    this.validateTimer = null;
+    this.screenshotAccess = false;
+    
+    this.init();
+  }
+  
+  async init() {
+    this.elements = {
+      saveBtn: document.getElementById('saveBtn'),
+      resetBtn: document.getElementById('resetBtn'),
+      status: document.getElementById('status'),
+      originsInput: document.getElementById('originsInput'),
+      originErrors: document.getElementById('originErrors'),
+      originStatus: document.getElementById('originStatus'),
+      saveOriginsBtn: document.getElementById('saveOriginsBtn'),
+      builtInOrigins: document.getElementById('builtInOrigins'),
+      safeOriginsInput: document.getElementById('safeOriginsInput'),
+      blockedSelectorsInput: document.getElementById('blockedSelectorsInput'),
+      defaultSafeOrigins: document.getElementById('defaultSafeOrigins'),
+      safetyErrors: document.getElementById('safetyErrors'),
+      safetyStatus: document.getElementById('safetyStatus'),
+      saveSafetyBtn: document.getElementById('saveSafetyBtn'),
+      screenshotStatus: document.getElementById('screenshotStatus'),
+      screenshotAccessBtn: document.getElementById('screenshotAccessBtn')
+    };
+    
+    for (const section of this.sections) {
+      const container = this.getSection(section);
+      container.querySelector('.defaults').textContent = JSON.stringify(this.defaults[section], null, 2);
+      container.querySelector('textarea').addEventListener('input', () => this.scheduleValidation());
+    }
+    
+    this.elements.saveBtn.addEventListener('click', () => this.save());
+    this.elements.resetBtn.addEventListener('click', () => this.reset());
+    this.elements.saveOriginsBtn.addEventListener('click', () => this.saveOrigins());
+    this.elements.originsInput.addEventListener('input', () => this.validateOrigins());
+    this.elements.saveSafetyBtn.addEventListener('click', () => this.saveSafetyPolicy());
+    this.elements.safeOriginsInput.addEventListener('input', () => this.validateSafetyPolicy());
+    this.elements.blockedSelectorsInput.addEventListener('input', () => this.validateSafetyPolicy());
+    this.elements.screenshotAccessBtn.addEventListener('click', () => this.toggleScreenshotAccess());
+    
+    await this.loadOrigins();
+    await this.loadSafetyPolicy();
+    await this.loadScreenshotAccess();
+    await this.load();
+  }
+  
+  // The built-ins straight from PageDetector; regular expressions are shown
+  // in the same '/source/flags' form overrides use
+  getDefaults() {
+    const detector = PageDetector.prototype;
+    const urlPatterns = {};
+    
+    for (const [pageType, patterns] of Object.entries(detector.initUrlPatterns())) {
+      urlPatterns[pageType] = patterns.map(pattern => pattern.toString());
+    }
+    
+    return {
+      urlPatterns,
+      elementMaps: detector.initElementMaps(),
+      pageIndicators: detector.initPageIndicators(),
+      contentPatterns: detector.initContentPatterns()
+    };
+  }
+  
+  getSection(section) {
+    return document.querySelector(`[data-section="${section}"]`);
+  }
+  
+  /**
+   * ALLOWED ORIGINS
+   */
+  
+  async loadOrigins() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getAllowedOrigins' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.elements.builtInOrigins.textContent = response.builtIn.join(', ');
+      this.elements.originsInput.value = response.origins.join('\n');
+    } catch (error) {
+      this.setStatus(`Failed to load origins: ${error.message}`, true, this.elements.originStatus);
+    }
+  }
+  
+  // One origin per line; trailing slashes and '/*' are dropped
+  parseOriginLines(text) {
+    const origins = [];
+    const errors = [];
+    
+    const lines = this.splitLines(text).map(line => line.toLowerCase().replace(/\/\*?$/, ''));
+    
+    for (const origin of lines) {
+      if (!ORIGIN_PATTERN.test(origin)) {
+        errors.push(`'${origin}' is not an origin like https://staging.example.com`);
+      } else if (!origins.includes(origin)) {
+        origins.push(origin);
+      }
+    }
+    
+    return { origins, errors };
+  }
+  
+  validateOrigins() {
+    const { origins, errors } = this.parseOriginLines(this.elements.originsInput.value);
+    
+    document.getElementById('originsSection').classList.toggle('invalid', errors.length > 0);
+    this.elements.originErrors.innerHTML = errors
+      .map(error => `<li>${this.escapeHtml(error)}</li>`)
+      .join('');
+    this.elements.saveOriginsBtn.disabled = errors.length > 0;
+    
+    return { origins, errors };
+  }
+  
+  async saveOrigins() {
+    const status = this.elements.originStatus;
+    const { origins, errors } = this.validateOrigins();
+    if (errors.length > 0) {
+      this.setStatus('Fix the errors above before saving', true, status);
+      return;
+    }
+    
+    try {
+      // Requested before anything else is awaited so the click still counts
+      // as the user gesture Chrome requires for the prompt
+      const granted = origins.length === 0 ||
+        await chrome.permissions.request({ origins: origins.map(origin => `${origin}/*`) });
+      if (!granted) {
+        this.setStatus('Access to the new origins was not granted', true, status);
+        return;
+      }
+      
+      const response = await chrome.runtime.sendMessage({ action: 'saveAllowedOrigins', origins });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.elements.originsInput.value = response.origins.join('\n');
+      this.setStatus(`Saved at ${new Date().toLocaleTimeString()}; reload open tabs on new origins`, false, status);
+    } catch (error) {
+      this.setStatus(`Failed to save origins: ${error.message}`, true, status);
+    }
+  }
+  
+  /**
+   * SAFETY POLICY
+   */
+  
+  async loadSafetyPolicy() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getSafetyPolicy' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.elements.defaultSafeOrigins.textContent = response.defaults.safeOrigins.join(', ');
+      this.renderSafetyPolicy(response.policy);
+    } catch (error) {
+      this.setStatus(`Failed to load safety policy: ${error.message}`, true, this.elements.safetyStatus);
+    }
+  }
+  
+  renderSafetyPolicy(policy) {
+    this.elements.safeOriginsInput.value = policy.safeOrigins.join('\n');
+    this.elements.blockedSelectorsInput.value = policy.blockedSelectors.join('\n');
+  }
+  
+  // Blocked selectors are matched with closest(), so plain CSS only
+  validateSafetyPolicy() {
+    const { origins, errors } = this.parseOriginLines(this.elements.safeOriginsInput.value);
+    const selectors = this.splitLines(this.elements.blockedSelectorsInput.value);
+    const fragment = document.createDocumentFragment();
+    
+    for (const selector of selectors) {
+      try {
+        fragment.querySelector(selector);
+      } catch (error) {
+        errors.push(`invalid CSS selector '${selector}'`);
+      }
+    }
+    
+    document.getElementById('safetySection').classList.toggle('invalid', errors.length > 0);
+    this.elements.safetyErrors.innerHTML = errors
+      .map(error => `<li>${this.escapeHtml(error)}</li>`)
+      .join('');
+    this.elements.saveSafetyBtn.disabled = errors.length > 0;
+    
+    return { policy: { safeOrigins: origins, blockedSelectors: selectors }, errors };
+  }
+  
+  async saveSafetyPolicy() {
+    const status = this.elements.safetyStatus;
+    const { policy, errors } = this.validateSafetyPolicy();
+    if (errors.length > 0) {
+      this.setStatus('Fix the errors above before saving', true, status);
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'saveSafetyPolicy', policy });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.renderSafetyPolicy(response.policy);
+      this.setStatus(`Saved at ${new Date().toLocaleTimeString()}; open tabs were updated`, false, status);
+    } catch (error) {
+      this.setStatus(`Failed to save safety policy: ${error.message}`, true, status);
+    }
+  }
+  
+  /**
+   * SCREENSHOT ACCESS
+   */
+  
+  async loadScreenshotAccess() {
+    try {
+      this.renderScreenshotAccess(await chrome.permissions.contains(SCREENSHOT_PERMISSION));
+    } catch (error) {
+      this.setStatus(`Failed to check screenshot access: ${error.message}`, true, this.elements.screenshotStatus);
+    }
+  }
+  
+  renderScreenshotAccess(granted) {
+    this.screenshotAccess = granted;
+    this.elements.screenshotAccessBtn.textContent = granted ? 'Remove access' : 'Allow on all sites';
+    this.setStatus(granted ? 'Screenshots work on every page of a run' :
+      'Screenshots only work until the run leaves its first page', false, this.elements.screenshotStatus);
+  }
+  
+  async toggleScreenshotAccess() {
+    try {
+      // Like saveOrigins, the prompt must come straight from the click
+      const granted = this.screenshotAccess ?
+        !await chrome.permissions.remove(SCREENSHOT_PERMISSION) :
+        await chrome.permissions.request(SCREENSHOT_PERMISSION);
+      
+      this.renderScreenshotAccess(granted);
+    } catch (error) {
+      this.setStatus(`Failed to change screenshot access: ${error.message}`, true, this.elements.screenshotStatus);
+    }
+  }
+  
+  /**
+   * LOADING AND SAVING
+   */
+  
+  async load() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getDetectorOverrides' });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.render(response.overrides || {});
+      this.validateAll();
+      this.setStatus('');
+    } catch (error) {
+      this.setStatus(`Failed to load overrides: ${error.message}`, true);
+    }
+  }
+  
+  render(overrides) {
+    for (const section of this.sections) {
+      const value = overrides[section];
+      this.getSection(section).querySelector('textarea').value =
+        value && Object.keys(value).length > 0 ? JSON.stringify(value, null, 2) : '';
+    }
+  }
+  
+  async save() {
+    const { overrides, valid } = this.validateAll();
+    if (!valid) {
+      this.setStatus('Fix the errors above before saving', true);
+      return;
+    }
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'saveDetectorOverrides', overrides });
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+      
+      this.setStatus(`Saved at ${new Date().toLocaleTimeString()}; open tabs were updated`);
+    } catch (error) {
+      this.setStatus(`Failed to save overrides: ${error.message}`, true);
+    }
+  }
+  
+  async reset() {
+    if (!confirm('Remove all detector overrides, including selectors saved with the element picker?')) {
+      return;
+    }
+    
+    this.render({});
+    this.validateAll();
+    await this.save();
+  }
+  
+  /**
+   * VALIDATION
+   */
+  
+  scheduleValidation() {
+    clearTimeout(this.validateTimer);
+    this.validateTimer = setTimeout(() => this.validateAll(), 300);
+  }
+  
+  // Parses and checks every section; empty sections are left out
+  validateAll() {
+    const overrides = {};
+    let valid = true;
+    
+    for (const section of this.sections) {
+      const container = this.getSection(section);
+      const text = container.querySelector('textarea').value.trim();
+      let errors = [];
+      
+      if (text) {
+        try {
+          const value = JSON.parse(text);
+          errors = this.validateSection(section, value);
+          if (errors.length === 0 && Object.keys(value).length > 0) {
+            overrides[section] = value;
+          }
+        } catch (error) {
+          errors = [`Invalid JSON: ${error.message}`];
+        }
+      }
+      
+      container.classList.toggle('invalid', errors.length > 0);
+      container.querySelector('.errors').innerHTML = errors
+        .map(error => `<li>${this.escapeHtml(error)}</li>`)
+        .join('');
+      
+      valid = valid && errors.length === 0;
+    }
+    
+    this.elements.saveBtn.disabled = !valid;
+    return { overrides, valid };
+  }
+  
+  validateSection(section, value) {
+    const errors = [];
+    
+    if (!this.isPlainObject(value)) {
+      return ['Must be an object keyed by page type'];
+    }
+    
+    for (const [pageType, entries] of Object.entries(value)) {
+      if (!/^[a-zA-Z][\w-]*$/.test(pageType)) {
+        errors.push(`'${pageType}' is not a valid page type name`);
+        continue;
+      }
+      
+      const check = {
+        urlPatterns: () => this.validateUrlPatterns(entries),
+        elementMaps: () => this.validateElementMap(entries),
+        pageIndicators: () => this.validateWeightedList(entries, { selector: 'selector' }),
+        contentPatterns: () => this.validateWeightedList(entries, { text: 'regex', html: 'regex' }, ['text'])
+      }[section];
+      
+      for (const error of check()) {
+        errors.push(`${pageType}${error}`);
+      }
+    }
+    
+    return errors;
+  }
+  
+  validateUrlPatterns(patterns) {
+    if (!Array.isArray(patterns) || patterns.length === 0) {
+      return [': must be a non-empty array of patterns'];
+    }
+    
+    const errors = [];
+    patterns.forEach((pattern, index) => {
+      if (typeof pattern !== 'string' || !pattern.trim()) {
+        errors.push(`[${index}]: must be a non-empty string`);
+        return;
+      }
+      
+      try {
+        PageDetector.prototype.parsePattern(pattern);
+      } catch (error) {
+        errors.push(`[${index}]: invalid regular expression (${error.message})`);
+      }
+    });
+    
+    return errors;
+  }
+  
+  validateElementMap(elements) {
+    if (!this.isPlainObject(elements)) {
+      return [': must be an object keyed by element name'];
+    }
+    
+    const errors = [];
+    
+    for (const [elementName, selectors] of Object.entries(elements)) {
+      if (!/^[a-zA-Z][a-zA-Z0-9_]*$/.test(elementName)) {
+        errors.push(`.${elementName}: element names must be identifiers like addToCartButton`);
+        continue;
+      }
+      
+      // Same selector rules as scenario steps
+      const problem = this.validator.checkFieldType(selectors, 'selector', []);
+      if (problem) {
+        errors.push(`.${elementName}: ${problem}`);
+        continue;
+      }
+      
+      for (const selector of Array.isArray(selectors) ? selectors : [selectors]) {
+        const cssProblem = typeof selector === 'string' ? this.checkCss(selector) : null;
+        if (cssProblem) {
+          errors.push(`.${elementName}: ${cssProblem}`);
+        }
+      }
+    }
+    
+    return errors;
+  }
+  
+  // Lists of { <fields>, weight } entries; weight is optional and positive
+  validateWeightedList(entries, fields, required = Object.keys(fields)) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return [': must be a non-empty array'];
+    }
+    
+    const errors = [];
+    
+    entries.forEach((entry, index) => {
+      const path = `[${index}]`;
+      
+      if (!this.isPlainObject(entry)) {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      
+      for (const field of required) {
+        if (entry[field] === undefined) {
+          errors.push(`${path}: '${field}' is required`);
+        }
+      }
+      
+      for (const [key, value] of Object.entries(entry)) {
+        if (key === 'weight') {
+          if (typeof value !== 'number' || !(value > 0)) {
+            errors.push(`${path}.weight: must be a positive number`);
+          }
+          continue;
+        }
+        
+        if (!fields[key]) {
+          errors.push(`${path}: unknown field '${key}'`);
+          continue;
+        }
+        
+        if (typeof value !== 'string' || !value.trim()) {
+          errors.push(`${path}.${key}: must be a non-empty string`);
+          continue;
+        }
+        
+        const problem = fields[key] === 'selector' ? this.checkCss(value) : this.checkRegex(value);
+        if (problem) {
+          errors.push(`${path}.${key}: ${problem}`);
+        }
+      }
+    });
+    
+    return errors;
+  }
+  
+  // Each >>> segment must be valid CSS on its own
+  checkCss(selector) {
+    const fragment = document.createDocumentFragment();
+    
+    for (const segment of selector.split('>>>').map(part => part.trim()).filter(Boolean)) {
+      try {
+        fragment.querySelector(segment);
+      } catch (error) {
+        return `invalid CSS selector '${segment}'`;
+      }
+    }
+    
+    return null;
+  }
+  
+  checkRegex(source) {
+    try {
+      new RegExp(source);
+      return null;
+    } catch (error) {
+      return `invalid regular expression (${error.message})`;
+    }
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  setStatus(message, isError = false, element = this.elements.status) {
+    element.textContent = message;
+    element.classList.toggle('error', isError);
+  }
+  
+  splitLines(text) {
+    return text.split('\n').map(line => line.trim()).filter(Boolean);
+  }
+  
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+  
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  window.optionsController = new OptionsController();
+});
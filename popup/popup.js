@@ -10,6 +10,9 @@ class PopupController {
     this.status = null;
     this.settings = {};
     this.statusUpdateInterval = null;
+    this.isRecording = false;
+    this.lastSeed = null;
+    this.reportExporter = new ReportExporter();
     this.connectionRetries = 0;
     this.maxRetries = 5;
     
@@ -18,23 +21,26 @@ class PopupController {
   
   async init() {
     try {
+      // Initialize UI
+      this.initializeElements();
+      
       // Show loading state
       this.showLoading('Initializing extension...');
       
       // Get current tab
       this.currentTab = await this.getCurrentTab();
       
-      // Check if we're on Speedway Motors
-      if (!this.currentTab.url.includes('speedwaymotors.com')) {
-        this.showError('Please navigate to speedwaymotors.com first');
+      // Check the tab is on an allowed origin
+      const { allowed } = await this.sendRunMessage('checkOrigin');
+      if (!allowed) {
+        this.hideLoading();
+        this.showError('This site is not an allowed origin. Add it in the extension options or go to speedwaymotors.com');
         this.disableControls();
         this.showNavigateButton();
+        this.showOptionsButton();
         return;
       }
       
-      // Initialize UI
-      this.initializeElements();
-      
       // Wait for content script to be ready
       await this.waitForContentScript();
       
@@ -42,6 +48,7 @@ class PopupController {
       await this.loadSettings();
       await this.loadScenarios();
       await this.loadPageInfo();
+      await this.loadRecordingState();
       
       // Start status updates
       this.startStatusUpdates();
@@ -92,12 +99,22 @@ class PopupController {
       startBtn: document.getElementById('startBtn'),
       pauseBtn: document.getElementById('pauseBtn'),
       stopBtn: document.getElementById('stopBtn'),
+      recordBtn: document.getElementById('recordBtn'),
+      pickBtn: document.getElementById('pickBtn'),
+      importBtn: document.getElementById('importBtn'),
+      importFile: document.getElementById('importFile'),
+      reportJsonBtn: document.getElementById('reportJsonBtn'),
+      reportJunitBtn: document.getElementById('reportJunitBtn'),
+      reportHtmlBtn: document.getElementById('reportHtmlBtn'),
       
       // Status display
       statusState: document.getElementById('statusState'),
       statusScenario: document.getElementById('statusScenario'),
       statusProgress: document.getElementById('statusProgress'),
       statusDuration: document.getElementById('statusDuration'),
+      statusSeed: document.getElementById('statusSeed'),
+      statusThrottle: document.getElementById('statusThrottle'),
+      throttleQueue: document.getElementById('throttleQueue'),
       progressFill: document.getElementById('progressFill'),
       
       // Page info
@@ -108,7 +125,13 @@ class PopupController {
       mouseSpeed: document.getElementById('mouseSpeed'),
       typingSpeed: document.getElementById('typingSpeed'),
       humanness: document.getElementById('humanness'),
+      pageLoadsPerMinute: document.getElementById('pageLoadsPerMinute'),
+      executionMode: document.getElementById('executionMode'),
+      runMode: document.getElementById('runMode'),
+      runSeed: document.getElementById('runSeed'),
+      lastSeedBtn: document.getElementById('lastSeedBtn'),
       debugMode: document.getElementById('debugMode'),
+      optionsBtn: document.getElementById('optionsBtn'),
       
       // Logs
       logs: document.getElementById('logs')
@@ -178,15 +201,66 @@ class PopupController {
       this.stopScenario();
     });
     
+    // Recording
+    this.elements.recordBtn?.addEventListener('click', () => {
+      this.toggleRecording();
+    });
+    
+    // Element picker
+    this.elements.pickBtn?.addEventListener('click', () => {
+      this.startPicking();
+    });
+    
+    // Scenario import
+    this.elements.importBtn?.addEventListener('click', () => {
+      this.elements.importFile?.click();
+    });
+    
+    this.elements.importFile?.addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = ''; // Allow re-importing the same file
+      if (file) {
+        this.importScenario(file);
+      }
+    });
+    
+    // Run reports
+    this.elements.reportJsonBtn?.addEventListener('click', () => {
+      this.downloadReport('json');
+    });
+    
+    this.elements.reportJunitBtn?.addEventListener('click', () => {
+      this.downloadReport('junit');
+    });
+    
+    this.elements.reportHtmlBtn?.addEventListener('click', () => {
+      this.downloadReport('html');
+    });
+    
     // Settings controls
     this.setupSettingListener('mouseSpeed', 'mouseSpeedValue', (val) => `${val}x`);
     this.setupSettingListener('typingSpeed', 'typingSpeedValue', (val) => `${val}x`);
     this.setupSettingListener('humanness', 'humannessValue', (val) => val.toString());
+    this.setupSettingListener('pageLoadsPerMinute', 'pageLoadsPerMinuteValue', (val) => `${Math.round(val)}/min`);
+    
+    this.elements.lastSeedBtn?.addEventListener('click', () => {
+      if (this.lastSeed !== null) {
+        this.elements.runSeed.value = this.lastSeed;
+      }
+    });
+    
+    this.elements.executionMode?.addEventListener('change', (e) => {
+      this.updateSetting('executionMode', e.target.value);
+    });
     
     this.elements.debugMode?.addEventListener('change', (e) => {
       this.updateSetting('debug', e.target.checked);
     });
     
+    this.elements.optionsBtn?.addEventListener('click', () => {
+      chrome.runtime.openOptionsPage();
+    });
+    
     // Listen for notifications from content script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === 'popupNotification') {
@@ -245,6 +319,20 @@ class PopupController {
     });
   }
   
+  // Scenario runs are owned by the background so they survive page loads
+  async sendRunMessage(action, data = {}) {
+    if (!this.currentTab) {
+      throw new Error('No active tab');
+    }
+    
+    const response = await chrome.runtime.sendMessage({ action, tabId: this.currentTab.id, ...data });
+    if (response?.error) {
+      throw new Error(response.error);
+    }
+    
+    return response || {};
+  }
+  
   async loadSettings() {
     try {
       const response = await chrome.runtime.sendMessage({ action: 'getSettings' });
@@ -253,6 +341,8 @@ class PopupController {
         typingSpeed: 1.0,
         humanness: 0.8,
         debug: false,
+        pageLoadsPerMinute: 20,
+        executionMode: 'human',
         ...response.settings
       };
       
@@ -261,6 +351,8 @@ class PopupController {
         this.elements.mouseSpeed.value = this.settings.mouseSpeed;
         this.elements.typingSpeed.value = this.settings.typingSpeed;
         this.elements.humanness.value = this.settings.humanness;
+        this.elements.pageLoadsPerMinute.value = this.settings.pageLoadsPerMinute;
+        this.elements.executionMode.value = this.settings.executionMode;
         this.elements.debugMode.checked = this.settings.debug;
         
         // Update value displays
@@ -271,6 +363,9 @@ class PopupController {
         if (mouseSpeedValue) mouseSpeedValue.textContent = `${this.settings.mouseSpeed.toFixed(1)}x`;
         if (typingSpeedValue) typingSpeedValue.textContent = `${this.settings.typingSpeed.toFixed(1)}x`;
         if (humannessValue) humannessValue.textContent = this.settings.humanness.toFixed(1);
+        
+        const pageLoadsValue = document.getElementById('pageLoadsPerMinuteValue');
+        if (pageLoadsValue) pageLoadsValue.textContent = `${this.settings.pageLoadsPerMinute}/min`;
       }
       
     } catch (error) {
@@ -279,7 +374,9 @@ class PopupController {
         mouseSpeed: 1.0,
         typingSpeed: 1.0,
         humanness: 0.8,
-        debug: false
+        debug: false,
+        pageLoadsPerMinute: 20,
+        executionMode: 'human'
       };
     }
   }
@@ -430,18 +527,39 @@ class PopupController {
       }
     }
     
+    // An empty seed draws a fresh one; a given seed replays that run
+    const seedText = this.elements.runSeed?.value.trim() || '';
+    const seed = seedText === '' ? null : Number(seedText);
+    if (seed !== null && !(Number.isInteger(seed) && seed >= 0 && seed <= 4294967295)) {
+      this.showError('Seed must be an integer from 0 to 4294967295');
+      this.elements.runSeed.focus();
+      return;
+    }
+    
+    // Refuse runs while the site's page load budget is saturated
+    try {
+      await this.checkPageLoadBudget(scenarioName, parameters);
+    } catch (error) {
+      this.showError(error.message);
+      return;
+    }
+    
     // Start scenario
     try {
       this.addLog(`🚀 Starting scenario: ${scenarioName}`, 'info');
       this.updateControls(true);
       
-      const response = await this.sendMessage('executeScenario', {
+      // An empty run mode leaves the choice to the executionMode setting
+      const response = await this.sendRunMessage('executeScenario', {
         scenario: scenarioName,
-        parameters: parameters
+        parameters: parameters,
+        mode: this.elements.runMode?.value || null,
+        seed
       });
       
       if (response.success) {
-        this.addLog('✅ Scenario started successfully', 'success');
+        this.addLog(`✅ Scenario started successfully (seed ${response.seed})`, 'success');
+        this.setLastSeed(response.seed);
       } else {
         throw new Error(response.error || 'Failed to start scenario');
       }
@@ -454,7 +572,7 @@ class PopupController {
   
   async pauseScenario() {
     try {
-      const response = await this.sendMessage('pauseScenario');
+      const response = await this.sendRunMessage('pauseScenario');
       if (response.success) {
         this.addLog('⏸️ Scenario paused', 'info');
       } else {
@@ -467,7 +585,7 @@ class PopupController {
   
   async stopScenario() {
     try {
-      const response = await this.sendMessage('stopScenario');
+      const response = await this.sendRunMessage('stopScenario');
       if (response.success) {
         this.addLog('⏹️ Scenario stopped', 'info');
         this.updateControls(false);
@@ -479,6 +597,186 @@ class PopupController {
     }
   }
   
+  async loadRecordingState() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getRecordingState',
+        tabId: this.currentTab.id
+      });
+      this.setRecordingState(!!response.recording);
+      
+      if (response.recording) {
+        this.addLog(`⏺️ Recording in progress (${response.stepCount} steps so far)`, 'info');
+      }
+    } catch (error) {
+      console.warn('Failed to load recording state:', error);
+    }
+  }
+  
+  setRecordingState(isRecording) {
+    this.isRecording = isRecording;
+    
+    if (this.elements.recordBtn) {
+      this.elements.recordBtn.textContent = isRecording ? '⏹️ Stop Recording' : '⏺️ Record';
+      this.elements.recordBtn.classList.toggle('btn-danger', isRecording);
+      this.elements.recordBtn.classList.toggle('btn-secondary', !isRecording);
+    }
+    
+    if (this.elements.startBtn) this.elements.startBtn.disabled = isRecording;
+  }
+  
+  async toggleRecording() {
+    if (this.isRecording) {
+      await this.stopRecording();
+    } else {
+      await this.startRecording();
+    }
+  }
+  
+  async startRecording() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'startRecording',
+        tabId: this.currentTab.id
+      });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      
+      this.setRecordingState(true);
+      this.addLog('⏺️ Recording started. Use the page normally, then stop here.', 'info');
+      
+    } catch (error) {
+      this.showError('Failed to start recording: ' + error.message);
+    }
+  }
+  
+  // Picking happens on the page; the popup closes as soon as the page is clicked
+  async startPicking() {
+    try {
+      await this.sendMessage('startPicking');
+      this.addLog('🎯 Pick mode: hover the page and click an element to map it (Esc cancels)', 'info');
+    } catch (error) {
+      this.showError('Failed to start element picker: ' + error.message);
+    }
+  }
+  
+  async stopRecording() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'stopRecording',
+        tabId: this.currentTab.id
+      });
+      if (response.error) {
+        throw new Error(response.error);
+      }
+      
+      this.setRecordingState(false);
+      
+      const scenario = response.scenario;
+      this.addLog(`⏹️ Recorded ${scenario.steps.length} steps`, 'success');
+      
+      // Save to the library and hand the JSON over for editing
+      await this.sendMessage('importScenario', { definition: scenario });
+      this.downloadJson(scenario, `${scenario.name}.json`);
+      this.addLog(`💾 Saved scenario: ${scenario.name}`, 'success');
+      
+      await this.loadScenarios();
+      
+    } catch (error) {
+      this.setRecordingState(false);
+      this.showError('Failed to save recording: ' + error.message);
+    }
+  }
+  
+  downloadJson(data, filename) {
+    this.downloadFile(JSON.stringify(data, null, 2), filename, 'application/json');
+  }
+  
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  
+  async downloadReport(format) {
+    try {
+      const response = await this.sendRunMessage('getRunReport');
+      if (!response.run) {
+        this.showError('No scenario run to report on yet');
+        return;
+      }
+      
+      const report = this.reportExporter.buildReport(response.run, response.screenshots);
+      const formats = {
+        json: () => [this.reportExporter.toJson(report), 'json', 'application/json'],
+        junit: () => [this.reportExporter.toJUnit(report), 'xml', 'application/xml'],
+        html: () => [this.reportExporter.toHtml(report), 'html', 'text/html']
+      };
+      
+      const [content, extension, type] = formats[format]();
+      this.downloadFile(content, this.reportExporter.getFilename(report, extension), type);
+      this.addLog(`📄 Downloaded ${format.toUpperCase()} report for ${report.scenario.name}`, 'info');
+      
+    } catch (error) {
+      this.showError('Failed to export report: ' + error.message);
+    }
+  }
+  
+  setReportAvailable(available) {
+    ['reportJsonBtn', 'reportJunitBtn', 'reportHtmlBtn'].forEach(key => {
+      if (this.elements[key]) this.elements[key].disabled = !available;
+    });
+  }
+  
+  // The seed of the tab's latest run, offered for replaying it
+  setLastSeed(seed) {
+    this.lastSeed = Number.isInteger(seed) ? seed : null;
+    if (this.elements.lastSeedBtn) this.elements.lastSeedBtn.disabled = this.lastSeed === null;
+  }
+  
+  async importScenario(file) {
+    let definition;
+    
+    try {
+      definition = JSON.parse(await file.text());
+    } catch (error) {
+      this.showError(`${file.name} is not valid JSON: ${error.message}`);
+      return;
+    }
+    
+    try {
+      // Validate first so every problem is listed, not just the first
+      const result = await this.sendMessage('validateScenario', { definition });
+      if (!result.valid) {
+        this.showError(`${file.name} has ${result.errors.length} problem(s)`);
+        result.errors.forEach(error => {
+          const step = error.stepIndex !== null ? ` (step ${error.stepIndex + 1})` : '';
+          this.addLog(`  ${error.path || 'scenario'}${step}: ${error.message}`, 'error');
+        });
+        return;
+      }
+      
+      const response = await this.sendMessage('importScenario', { definition });
+      this.addLog(`📥 Imported scenario: ${response.scenario}`, 'success');
+      
+      await this.loadScenarios();
+      if (this.elements.scenarioSelect) {
+        this.elements.scenarioSelect.value = response.scenario;
+        this.onScenarioChange();
+      }
+      
+    } catch (error) {
+      this.showError('Failed to import scenario: ' + error.message);
+    }
+  }
+  
   async updateSetting(key, value) {
     this.settings[key] = value;
     
@@ -490,10 +788,12 @@ class PopupController {
   }
   
   updateControls(isRunning) {
-    if (this.elements.startBtn) this.elements.startBtn.disabled = isRunning;
+    if (this.elements.startBtn) this.elements.startBtn.disabled = isRunning || this.isRecording;
     if (this.elements.pauseBtn) this.elements.pauseBtn.disabled = !isRunning;
     if (this.elements.stopBtn) this.elements.stopBtn.disabled = !isRunning;
     if (this.elements.scenarioSelect) this.elements.scenarioSelect.disabled = isRunning;
+    if (this.elements.runMode) this.elements.runMode.disabled = isRunning;
+    if (this.elements.runSeed) this.elements.runSeed.disabled = isRunning;
     
     // Disable parameter inputs
     if (this.elements.parameters) {
@@ -527,6 +827,21 @@ class PopupController {
     }
   }
   
+  showOptionsButton() {
+    const optionsBtn = document.createElement('button');
+    optionsBtn.className = 'btn btn-secondary';
+    optionsBtn.textContent = '⚙️ Allowed Origins';
+    optionsBtn.onclick = () => {
+      chrome.runtime.openOptionsPage();
+      window.close();
+    };
+    
+    const controls = document.querySelector('.controls');
+    if (controls) {
+      controls.appendChild(optionsBtn);
+    }
+  }
+  
   showRetryButton() {
     const retryBtn = document.createElement('button');
     retryBtn.className = 'btn btn-secondary';
@@ -553,7 +868,7 @@ class PopupController {
   
   async refreshStatus() {
     try {
-      const response = await this.sendMessage('getStatus');
+      const response = await this.sendRunMessage('getStatus');
       if (response.status) {
         this.updateStatus(response.status);
       }
@@ -561,11 +876,72 @@ class PopupController {
       // Ignore status update errors to prevent spam
       console.debug('Status update failed:', error.message);
     }
+    
+    try {
+      this.updateThrottle(await this.sendRunMessage('getThrottleStatus'));
+    } catch (error) {
+      console.debug('Throttle update failed:', error.message);
+    }
+  }
+  
+  // Page loads this minute for the tab's site, plus every run waiting for a slot
+  updateThrottle(throttle) {
+    const current = throttle.origins.find(origin => origin.current);
+    
+    if (this.elements.statusThrottle) {
+      let text = current ? `${current.used}/${throttle.budget} per min` : '-';
+      if (current?.nextSlotIn > 0) {
+        text += ` · next in ${Math.ceil(current.nextSlotIn / 1000)}s`;
+      }
+      this.elements.statusThrottle.textContent = text;
+    }
+    
+    const queue = this.elements.throttleQueue;
+    if (!queue) return;
+    
+    queue.hidden = throttle.queue.length === 0;
+    queue.innerHTML = '';
+    
+    for (const entry of throttle.queue) {
+      const item = document.createElement('div');
+      item.className = 'queue-item';
+      
+      const target = document.createElement('span');
+      target.textContent = `⏳ ${entry.tabId === this.currentTab?.id ? 'This tab' : `Tab ${entry.tabId}`}: ${entry.url}`;
+      target.title = entry.url;
+      
+      const waiting = document.createElement('span');
+      waiting.textContent = `${Math.round(entry.waiting / 1000)}s`;
+      
+      item.append(target, waiting);
+      queue.appendChild(item);
+    }
+  }
+  
+  // Runs longer than the budget still start; the background paces their page
+  // loads, so only a saturated origin or a long queue refuses them
+  async checkPageLoadBudget(scenarioName, parameters) {
+    const { pageLoads } = await this.sendMessage('estimatePageLoads', { scenario: scenarioName, parameters });
+    if (!pageLoads) return;
+    
+    const budget = await this.sendRunMessage('checkPageLoadBudget', { pageLoads });
+    if (!budget.allowed) {
+      throw new Error(`Cannot start '${scenarioName}': ${budget.reason}. Wait for the queue to drain or raise the budget in Settings`);
+    }
+    
+    if (pageLoads > budget.available) {
+      this.addLog(`🚦 Up to ${pageLoads} page load(s) at ${budget.budget}/min: expect about ${budget.expectedMinutes} min`, 'info');
+    } else {
+      this.addLog(`🚦 Up to ${pageLoads} page load(s), ${budget.available} of ${budget.budget}/min available`, 'info');
+    }
   }
   
   updateStatus(status) {
     this.status = status;
     
+    // Any run the background knows about, finished or not, can be reported
+    this.setReportAvailable(!!status.runId);
+    
     if (!this.elements.statusState) return;
     
     // Update status display
@@ -588,6 +964,11 @@ class PopupController {
     if (this.elements.statusScenario) {
       this.elements.statusScenario.textContent = status.currentScenario || 'None';
     }
+    
+    this.setLastSeed(status.seed);
+    if (this.elements.statusSeed) {
+      this.elements.statusSeed.textContent = this.lastSeed !== null ? String(this.lastSeed) : '-';
+    }
     if (this.elements.statusProgress) {
       this.elements.statusProgress.textContent = `${status.currentStep}/${status.totalSteps}`;
     }
@@ -611,27 +992,66 @@ class PopupController {
   handleNotification(event, data) {
     switch (event) {
       case 'scenarioStarted':
-        this.addLog(`✅ Scenario started: ${data.scenario}`, 'success');
+        this.addLog(`✅ Scenario started: ${data.scenario}${data.mode === 'fast' ? ' (fast mode)' : ''}`, 'success');
         this.updateControls(true);
         break;
         
       case 'scenarioCompleted':
         const duration = Math.round(data.duration / 1000);
-        this.addLog(`🎉 Scenario completed in ${duration}s`, 'success');
+        if (data.passed === false) {
+          this.addLog(`⚠️ Scenario finished in ${duration}s with ${data.summary.failed} failed step(s)`, 'error');
+        } else {
+          this.addLog(`🎉 Scenario completed in ${duration}s`, 'success');
+        }
         this.updateControls(false);
         break;
         
       case 'scenarioError':
-        this.addLog(`❌ Error: ${data.error}`, 'error');
+        if (data.blocked) {
+          this.addLog(`🛑 Blocked: ${data.error}`, 'error');
+        } else {
+          this.addLog(`❌ Error: ${data.error}`, 'error');
+        }
+        this.updateControls(false);
+        break;
+        
+      case 'scenarioResumed':
+        this.addLog(`🔄 Resumed after navigation (step ${data.path || data.step})`, 'info');
+        this.updateControls(true);
+        break;
+        
+      case 'scenarioStopped':
+        this.addLog(`⏹️ Scenario stopped at step ${data.step}`, 'info');
         this.updateControls(false);
         break;
         
       case 'stepCompleted':
-        this.addLog(`📍 Step ${data.step} completed`, 'info');
+        if (data.status === 'failed') {
+          this.addLog(`✗ Step ${data.path || data.step} failed: ${data.error}`, 'error');
+        } else if (data.status === 'skipped') {
+          this.addLog(`⏭️ Step ${data.path || data.step} skipped: ${data.error}`, 'warn');
+        } else if (data.healed) {
+          this.addLog(`🩹 Step ${data.path || data.step} healed '${data.healed.elementName}', suggested selector: ${data.healed.suggestedSelector}`, 'warn');
+        } else if (data.assertion) {
+          this.addLog(`✓ Step ${data.path || data.step} passed: ${data.assertion.message}`, 'success');
+        } else if (data.captured) {
+          const values = Object.entries(data.captured).map(([name, value]) => `${name} = ${value}`);
+          this.addLog(`📌 Step ${data.path || data.step} captured ${values.join(', ')}`, 'info');
+        } else {
+          this.addLog(`📍 Step ${data.path || data.step} completed`, 'info');
+        }
         break;
         
       case 'stepStarted':
-        this.addLog(`▶️ Starting step ${data.step}: ${data.action?.name || 'Action'}`, 'info');
+        this.addLog(`▶️ Starting step ${data.path || data.step}: ${data.action?.name || 'Action'}`, 'info');
+        break;
+        
+      case 'runSyncFailed':
+        this.addLog(`⚠️ Could not save the run's ${data.what}: ${data.error}`, 'warn');
+        break;
+        
+      case 'pageError':
+        this.addLog(`⚠️ Page error${data.path ? ` at step ${data.path}` : ''}: ${data.error.message}`, 'warn');
         break;
     }
   }
@@ -0,0 +1,445 @@
+/**
+ * Report Exporter
+ * Turns a scenario run record from the background into JSON, JUnit XML and
+ * self-contained HTML reports
+ */
+
+class ReportExporter {
+  constructor(options = {}) {
+    this.options = {
+      reportVersion: 1,
+      ...options
+    };
+  }
+  
+  /**
+   * REPORT MODEL
+   */
+  
+  // Normalizes a background run record; works for finished and in-progress runs.
+  // images maps screenshot ids to the data URLs kept outside the record
+  buildReport(run, images = {}) {
+    const scenario = run.scenario || { name: run.scenarioName, steps: [] };
+    const results = run.results || [];
+    const endTime = run.endTime || Date.now();
+    const screenshots = (run.screenshots || []).map(screenshot => ({
+      ...screenshot,
+      capturedAt: new Date(screenshot.capturedAt).toISOString(),
+      image: images[screenshot.id] || null
+    }));
+    
+    return {
+      reportVersion: this.options.reportVersion,
+      runId: run.runId,
+      scenario: {
+        name: scenario.name || run.scenarioName || 'unknown',
+        description: scenario.description || '',
+        version: scenario.version || null,
+        totalSteps: run.totalSteps || scenario.steps.length
+      },
+      status: this.getRunStatus(run),
+      state: run.state,
+      mode: run.mode || 'human',
+      seed: Number.isInteger(run.seed) ? run.seed : null,
+      parameters: run.parameters || {},
+      startUrl: run.startUrl || null,
+      finalUrl: run.url || null,
+      startTime: run.startTime ? new Date(run.startTime).toISOString() : null,
+      endTime: run.endTime ? new Date(run.endTime).toISOString() : null,
+      duration: run.startTime ? endTime - run.startTime : 0,
+      error: run.error || null,
+      summary: this.summarize(results),
+      steps: results.map(result => ({
+        path: result.path || String(result.step),
+        depth: this.getDepth(result.path),
+        name: result.name,
+        type: result.type,
+        status: result.status,
+        startedAt: result.startedAt ? new Date(result.startedAt).toISOString() : null,
+        duration: result.duration || 0,
+        error: result.error || null,
+        assertion: result.assertion || null,
+        captured: result.captured || null,
+        details: result.details || null,
+        pageErrors: result.pageErrors || [],
+        requests: result.requests || [],
+        droppedRequests: result.droppedRequests || 0,
+        healed: result.healed || null,
+        blocked: result.blocked || null,
+        screenshots: screenshots
+          .filter(screenshot => screenshot.path === result.path)
+          .map(screenshot => screenshot.id),
+        screenshotError: result.screenshotError || null
+      })),
+      screenshots,
+      pageErrors: run.pageErrors || [],
+      variables: run.variables || {},
+      generatedAt: new Date().toISOString()
+    };
+  }
+  
+  getRunStatus(run) {
+    if (['starting', 'running', 'paused'].includes(run.state)) return 'running';
+    if (run.state === 'stopped') return 'stopped';
+    if (run.state === 'failed') return 'failed';
+    return 'passed';
+  }
+  
+  summarize(results) {
+    const summary = { total: results.length, passed: 0, failed: 0, skipped: 0, other: 0 };
+    
+    for (const result of results) {
+      if (result.status in summary) {
+        summary[result.status]++;
+      } else {
+        summary.other++;
+      }
+    }
+    
+    return summary;
+  }
+  
+  // "4[2].1" is two levels below top-level step 4
+  getDepth(path) {
+    return path ? path.split('.').length - 1 : 0;
+  }
+  
+  getFilename(report, extension) {
+    const stamp = (report.startTime || report.generatedAt).replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    return `${report.scenario.name}-${stamp}.${extension}`;
+  }
+  
+  /**
+   * JSON
+   */
+  
+  toJson(report) {
+    return JSON.stringify(report, null, 2);
+  }
+  
+  /**
+   * JUNIT XML
+   */
+  
+  // One testsuite per run, one testcase per executed step
+  toJUnit(report) {
+    const seconds = (ms) => (ms / 1000).toFixed(3);
+    const suiteName = this.escapeXml(report.scenario.name);
+    const { summary } = report;
+    const skipped = summary.skipped + summary.other;
+    
+    const properties = Object.entries(report.parameters).map(([name, value]) =>
+      `      <property name="parameter.${this.escapeXml(name)}" value="${this.escapeXml(this.formatValue(value))}"/>`
+    );
+    properties.push(`      <property name="runId" value="${this.escapeXml(report.runId || '')}"/>`);
+    properties.push(`      <property name="mode" value="${this.escapeXml(report.mode)}"/>`);
+    if (report.seed !== null) {
+      properties.push(`      <property name="seed" value="${report.seed}"/>`);
+    }
+    if (report.startUrl) {
+      properties.push(`      <property name="startUrl" value="${this.escapeXml(report.startUrl)}"/>`);
+    }
+    
+    const testcases = report.steps.map(step => {
+      const name = this.escapeXml(`${step.path} ${step.name}`);
+      // Images are embedded in the JSON and HTML reports only
+      const shots = step.screenshots.length > 0 ?
+        `      <system-out>${step.screenshots.length} screenshot(s) in the HTML/JSON report</system-out>` : null;
+      const shotError = step.screenshotError ?
+        `      <system-err>${this.escapeXml(`Screenshot not captured: ${step.screenshotError}`)}</system-err>` : null;
+      const healed = step.healed ?
+        `      <system-out>${this.escapeXml(this.describeHealing(step.healed))}</system-out>` : null;
+      const pageErrors = step.pageErrors.length > 0 ?
+        `      <system-err>${this.escapeXml(step.pageErrors.map(error => this.describePageError(error)).join('\n'))}</system-err>` : null;
+      const open = `    <testcase classname="${suiteName}" name="${name}" time="${seconds(step.duration)}"`;
+      
+      if (step.status === 'passed') {
+        const output = [healed, pageErrors].filter(Boolean);
+        return output.length > 0 ? `${open}>\n${output.join('\n')}\n    </testcase>` : `${open}/>`;
+      }
+      
+      if (step.status === 'failed') {
+        const type = step.blocked ? 'SafetyBlocked' : step.assertion ? 'AssertionError' : 'StepError';
+        return [
+          `${open}>`,
+          `      <failure message="${this.escapeXml(step.error || 'Step failed')}" type="${type}">${this.escapeXml(this.describeFailure(step))}</failure>`,
+          shots,
+          shotError,
+          healed,
+          pageErrors,
+          '    </testcase>'
+        ].filter(Boolean).join('\n');
+      }
+      
+      const reason = step.status === 'skipped' ? step.error || 'Optional step skipped' : `Step ${step.status}`;
+      return `${open}>\n      <skipped message="${this.escapeXml(reason)}"/>\n    </testcase>`;
+    });
+    
+    // A run that failed outside any step (e.g. left the site) still fails the suite
+    const runFailed = report.status === 'failed' && summary.failed === 0;
+    if (runFailed) {
+      testcases.push([
+        `    <testcase classname="${suiteName}" name="run" time="${seconds(report.duration)}">`,
+        `      <failure message="${this.escapeXml(report.error || 'Run failed')}" type="RunError"/>`,
+        '    </testcase>'
+      ].join('\n'));
+    }
+    
+    const variables = Object.entries(report.variables)
+      .map(([name, value]) => `${name} = ${this.formatValue(value)}`)
+      .join('\n');
+    
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<testsuites name="Speedway Auto Browser" tests="${testcases.length}" failures="${summary.failed + (runFailed ? 1 : 0)}" skipped="${skipped}" time="${seconds(report.duration)}">`,
+      `  <testsuite name="${suiteName}" tests="${testcases.length}" failures="${summary.failed + (runFailed ? 1 : 0)}" errors="0" skipped="${skipped}" time="${seconds(report.duration)}" timestamp="${report.startTime || ''}">`,
+      '    <properties>',
+      ...properties,
+      '    </properties>',
+      ...testcases,
+      `    <system-out>${this.escapeXml(variables)}</system-out>`,
+      '  </testsuite>',
+      '</testsuites>',
+      ''
+    ].join('\n');
+  }
+  
+  describeFailure(step) {
+    const lines = [step.error || 'Step failed'];
+    
+    if (step.assertion) {
+      lines.push(`Expected: ${this.formatValue(step.assertion.expected)}`);
+      lines.push(`Actual: ${this.formatValue(step.assertion.actual)}`);
+    }
+    
+    return lines.join('\n');
+  }
+  
+  describePageError(error) {
+    const location = error.source ? ` (${error.source}:${error.line || 0})` : '';
+    return `[${error.kind}] ${error.message}${location}`;
+  }
+  
+  describeHealing(healed) {
+    const previous = healed.previousSelector ? ` (last matched by ${healed.previousSelector})` : '';
+    return `healed '${healed.elementName}'${previous} at ${Math.round(healed.confidence * 100)}% confidence; ` +
+      `suggested selector: ${healed.suggestedSelector}`;
+  }
+  
+  /**
+   * HTML
+   */
+  
+  // Single file with inline styles so it can be attached to tickets as-is
+  toHtml(report) {
+    const esc = (value) => this.escapeHtml(value);
+    const { summary } = report;
+    
+    const parameterRows = this.renderPairs(report.parameters, 'No parameters');
+    const variableRows = this.renderPairs(report.variables, 'No captured variables');
+    
+    const stepRows = report.steps.map(step => {
+      const notes = [];
+      
+      if (step.error) {
+        notes.push(`<div class="error">${esc(step.error)}</div>`);
+      }
+      if (step.assertion) {
+        notes.push(`<div class="muted">expected ${esc(this.formatValue(step.assertion.expected))}, got ${esc(this.formatValue(step.assertion.actual))}</div>`);
+      }
+      if (step.captured) {
+        const values = Object.entries(step.captured).map(([name, value]) => `${name} = ${this.formatValue(value)}`);
+        notes.push(`<div class="muted">captured ${esc(values.join(', '))}</div>`);
+      }
+      if (step.details) {
+        notes.push(`<div class="muted">${esc(this.formatValue(step.details))}</div>`);
+      }
+      if (step.healed) {
+        notes.push(`<div class="healed">${esc(this.describeHealing(step.healed))}</div>`);
+      }
+      for (const pageError of step.pageErrors) {
+        notes.push(`<div class="page-error">page ${esc(this.describePageError(pageError))}</div>`);
+      }
+      if (step.requests.length > 0) {
+        notes.push(this.renderRequests(step));
+      }
+      for (const id of step.screenshots) {
+        notes.push(this.renderScreenshot(report.screenshots.find(screenshot => screenshot.id === id)));
+      }
+      if (step.screenshotError) {
+        notes.push(`<div class="muted">screenshot not captured: ${esc(step.screenshotError)}</div>`);
+      }
+      
+      return `
+        <tr class="${esc(step.status)}">
+          <td class="path">${esc(step.path)}</td>
+          <td style="padding-left: ${8 + step.depth * 16}px">${esc(step.name)} <span class="muted">(${esc(step.type)})</span>${notes.join('')}</td>
+          <td><span class="badge ${esc(step.status)}">${esc(step.status)}</span></td>
+          <td class="num">${this.formatDuration(step.duration)}</td>
+        </tr>`;
+    }).join('');
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${esc(report.scenario.name)} - ${esc(report.status)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 24px; color: #1f2933; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 24px 0 8px; }
+    table { border-collapse: collapse; width: 100%; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e4e7eb; vertical-align: top; }
+    th { background: #f5f7fa; }
+    .muted { color: #7b8794; font-size: 12px; }
+    .error { color: #c62828; font-size: 12px; white-space: pre-wrap; }
+    .page-error { color: #8d6e00; font-size: 12px; white-space: pre-wrap; }
+    .healed { color: #6a3ea1; font-size: 12px; }
+    details { margin-top: 6px; font-size: 12px; }
+    summary { cursor: pointer; color: #52606d; }
+    table.requests { margin-top: 4px; font-size: 12px; }
+    table.requests td { padding: 3px 6px; }
+    table.requests .url { word-break: break-all; }
+    tr.request-failed td { color: #c62828; }
+    .num, .path { white-space: nowrap; font-variant-numeric: tabular-nums; }
+    .badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 11px; font-weight: 600; text-transform: uppercase; background: #e4e7eb; }
+    .badge.passed { background: #e3f9e5; color: #207227; }
+    .badge.failed { background: #ffe3e3; color: #c62828; }
+    .badge.skipped, .badge.stopped, .badge.running { background: #fff3c4; color: #8d6e00; }
+    tr.failed td { background: #fff8f8; }
+    .summary span { margin-right: 16px; }
+    figure { margin: 8px 0 0; }
+    figure img { max-width: 480px; border: 1px solid #e4e7eb; display: block; }
+    figcaption { color: #7b8794; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <h1>${esc(report.scenario.name)} <span class="badge ${esc(report.status)}">${esc(report.status)}</span></h1>
+  <div class="muted">${esc(report.scenario.description)}</div>
+  <div class="muted">Run ${esc(report.runId || '')} · ${esc(report.mode)} mode${report.seed !== null ? ` · seed ${report.seed}` : ''} · started ${esc(report.startTime || '')} · ${this.formatDuration(report.duration)}</div>
+  ${report.error ? `<p class="error">${esc(report.error)}</p>` : ''}
+  
+  <p class="summary">
+    <span>Steps: <strong>${summary.total}</strong></span>
+    <span>Page errors: <strong>${report.pageErrors.length}</strong></span>
+    <span>Healed: <strong>${report.steps.filter(step => step.healed).length}</strong></span>
+    <span>Passed: <strong>${summary.passed}</strong></span>
+    <span>Failed: <strong>${summary.failed}</strong></span>
+    <span>Skipped: <strong>${summary.skipped + summary.other}</strong></span>
+  </p>
+  
+  <h2>Parameters</h2>
+  <table>${parameterRows}</table>
+  
+  <h2>Steps</h2>
+  <table>
+    <tr><th>#</th><th>Step</th><th>Status</th><th>Duration</th></tr>${stepRows}
+  </table>
+  
+  <h2>Captured variables</h2>
+  <table>${variableRows}</table>
+  
+  <p class="muted">Start URL: ${esc(report.startUrl || '-')}<br>Final URL: ${esc(report.finalUrl || '-')}<br>Generated ${esc(report.generatedAt)}</p>
+</body>
+</html>
+`;
+  }
+  
+  // Collapsed per-step network log
+  renderRequests(step) {
+    const esc = (value) => this.escapeHtml(value);
+    const failed = step.requests.filter(request => request.error || request.status >= 400).length;
+    const dropped = step.droppedRequests ? ` (+${step.droppedRequests} not recorded)` : '';
+    
+    const rows = step.requests.map(request => `
+              <tr class="${request.error || request.status >= 400 ? 'request-failed' : ''}">
+                <td>${esc(request.method)}</td>
+                <td class="num">${request.status || esc(request.error || '-')}</td>
+                <td class="url">${esc(request.url)}</td>
+                <td class="num">${this.formatDuration(request.duration)}</td>
+                <td class="num">${this.formatSize(request.size)}</td>
+              </tr>`).join('');
+    
+    return `
+          <details>
+            <summary>${step.requests.length} request(s)${failed ? `, ${failed} failed` : ''}${esc(dropped)}</summary>
+            <table class="requests">${rows}
+            </table>
+          </details>`;
+  }
+  
+  renderScreenshot(screenshot) {
+    const esc = (value) => this.escapeHtml(value);
+    const caption = `${screenshot.reason}${screenshot.label ? `: ${screenshot.label}` : ''}`;
+    
+    if (!screenshot.image) {
+      return `<div class="muted">screenshot ${esc(caption)} (image no longer available)</div>`;
+    }
+    
+    // Full-size image opens in a new tab
+    return `
+          <figure>
+            <a href="${screenshot.image}" target="_blank"><img src="${screenshot.image}" alt="${esc(caption)}"></a>
+            <figcaption>${esc(caption)} · ${esc(screenshot.capturedAt)}</figcaption>
+          </figure>`;
+  }
+  
+  renderPairs(values, emptyText) {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0) {
+      return `<tr><td class="muted">${this.escapeHtml(emptyText)}</td></tr>`;
+    }
+    
+    return entries.map(([name, value]) =>
+      `<tr><th>${this.escapeHtml(name)}</th><td>${this.escapeHtml(this.formatValue(value))}</td></tr>`
+    ).join('');
+  }
+  
+  /**
+   * UTILITIES
+   */
+  
+  formatValue(value) {
+    if (value === null || value === undefined) return String(value);
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+  
+  formatDuration(ms) {
+    if (!ms) return '0ms';
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  }
+  
+  formatSize(bytes) {
+    if (bytes === null || bytes === undefined) return '-';
+    if (bytes < 1024) return `${bytes} B`;
+    return bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+  
+  escapeXml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;')
+      // Control characters are not allowed in XML 1.0
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+  }
+  
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+// Export for use
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReportExporter;
+} else if (typeof window !== 'undefined') {
+  window.ReportExporter = ReportExporter;
+}